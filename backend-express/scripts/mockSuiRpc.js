@@ -0,0 +1,106 @@
+/**
+ * Minimal Sui JSON-RPC stub for developing the event indexer offline.
+ *
+ *   npm run mock:sui                      # listens on MOCK_SUI_PORT (default 9100)
+ *   SUI_RPC_URL=http://localhost:9100 SUI_PACKAGE_ID=0x1 npm run dev
+ *
+ * Registry events are appended with POST /events, e.g.
+ *   curl -X POST localhost:9100/events -H 'Content-Type: application/json' \
+ *     -d '{"name":"VisibilityChanged","sender":"0xa","parsedJson":{"document_id":"0x2","is_public":true}}'
+ *
+ * Implements suix_queryEvents (ascending, cursor-paginated),
+ * sui_getTransactionBlock (sender and events only) and sui_getObject
+ * (DocumentAsset objects only).
+ */
+import express from 'express';
+import config from '../src/config.js';
+import { loadJsonFile } from '../src/utils/jsonFile.js';
+
+const port = parseInt(process.env.MOCK_SUI_PORT || '9100', 10);
+const packageId = config.suiPackageId || '0x1';
+
+// Optionally seed events from a JSON array of { name, parsedJson, txDigest?, sender? }
+const events = [];
+for (const seed of loadJsonFile(process.env.MOCK_SUI_EVENTS || '', [])) {
+  addEvent(seed);
+}
+
+function addEvent({ name, parsedJson, txDigest, sender }) {
+  const event = {
+    id: {
+      // Any 32-byte base58 string is a valid digest; reuse one per event for simplicity
+      txDigest: txDigest || '11111111111111111111111111111111',
+      eventSeq: String(events.length),
+    },
+    packageId,
+    transactionModule: config.suiModuleName,
+    sender: sender || parsedJson.owner || parsedJson.from || '0x0',
+    type: `${packageId}::${config.suiModuleName}::${name}`,
+    parsedJson,
+    timestampMs: String(Date.now()),
+  };
+  events.push(event);
+  return event;
+}
+
+const handlers = {
+  suix_queryEvents([, cursor, limit]) {
+    const start = cursor ? Number(cursor.eventSeq) + 1 : 0;
+    const data = events.slice(start, start + (limit || 50));
+    return {
+      data,
+      nextCursor: data.length > 0 ? data[data.length - 1].id : cursor,
+      hasNextPage: start + data.length < events.length,
+    };
+  },
+
+  sui_getTransactionBlock([digest]) {
+    const txEvents = events.filter(event => event.id.txDigest === digest);
+    return {
+      digest,
+      transaction: { data: { sender: txEvents[0]?.sender || '0x0' } },
+      events: txEvents,
+    };
+  },
+
+  // DocumentAsset objects are reconstructed from their DocumentMinted events
+  sui_getObject([objectId]) {
+    const minted = events.find(event => event.type.endsWith('::DocumentMinted')
+      && event.parsedJson.document_id === objectId);
+    if (!minted) {
+      return { error: { code: 'notExists', object_id: objectId } };
+    }
+
+    return {
+      data: {
+        objectId,
+        content: {
+          dataType: 'moveObject',
+          type: `${packageId}::${config.suiModuleName}::DocumentAsset`,
+          fields: { id: { id: objectId }, ...minted.parsedJson },
+        },
+      },
+    };
+  },
+};
+
+const app = express();
+app.use(express.json());
+
+app.post('/events', (req, res) => {
+  res.json(addEvent(req.body));
+});
+
+app.post('/', (req, res) => {
+  const { id, method, params } = req.body;
+  const handler = handlers[method];
+
+  if (!handler) {
+    return res.json({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } });
+  }
+  res.json({ jsonrpc: '2.0', id, result: handler(params) });
+});
+
+app.listen(port, () => {
+  console.log(`Mock Sui RPC listening on http://localhost:${port} (package ${packageId})`);
+});
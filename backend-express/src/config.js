@@ -1,6 +1,7 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { tmpdir } from 'os';
 
 // Get the directory of the current module (ES module way)
 const __filename = fileURLToPath(import.meta.url);
@@ -23,13 +24,64 @@ const config = {
     ? process.env.CORS_ORIGINS.split(',')
     : ['http://localhost:3000', 'http://localhost:3002', 'http://localhost:5173'],
 
-  // Walrus Configuration
-  walrusPublisherUrl: process.env.WALRUS_PUBLISHER_URL || 'https://publisher.walrus-testnet.walrus.space',
-  walrusAggregatorUrl: process.env.WALRUS_AGGREGATOR_URL || 'https://aggregator.walrus-testnet.walrus.space',
+  // Walrus Configuration (comma-separated endpoint lists, tried in order with failover)
+  walrusPublisherUrls: (process.env.WALRUS_PUBLISHER_URL || 'https://publisher.walrus-testnet.walrus.space')
+    .split(',').map(url => url.trim()).filter(Boolean),
+  walrusAggregatorUrls: (process.env.WALRUS_AGGREGATOR_URL || 'https://aggregator.walrus-testnet.walrus.space')
+    .split(',').map(url => url.trim()).filter(Boolean),
   walrusEpochs: parseInt(process.env.WALRUS_EPOCHS || '5', 10),
+  // Per-attempt timeouts; uploads get longer as they carry the whole file
+  walrusTimeoutMs: parseInt(process.env.WALRUS_TIMEOUT_MS || '30000', 10),
+  walrusUploadTimeoutMs: parseInt(process.env.WALRUS_UPLOAD_TIMEOUT_MS || '600000', 10),
+  // Retries on 5xx responses, timeouts and network errors, with exponential backoff
+  walrusMaxRetries: parseInt(process.env.WALRUS_MAX_RETRIES || '3', 10),
+  walrusRetryDelayMs: parseInt(process.env.WALRUS_RETRY_DELAY_MS || '500', 10),
+  // Endpoints that failed are tried last until this long has passed
+  walrusEndpointCooldownMs: parseInt(process.env.WALRUS_ENDPOINT_COOLDOWN_MS || '30000', 10),
+  // Downloaded blobs are cached on disk up to this size (0 disables the cache)
+  blobCacheDir: process.env.BLOB_CACHE_DIR || join(__dirname, '..', 'data', 'blob-cache'),
+  blobCacheMaxBytes: parseInt(process.env.BLOB_CACHE_MAX_MB || '1024', 10) * 1024 * 1024,
+
+  // Uploads (streamed to Walrus through a temporary file, never buffered in memory)
+  maxUploadSize: parseInt(process.env.MAX_UPLOAD_SIZE_MB || '500', 10) * 1024 * 1024,
+  // Larger files are stored but not indexed, as text extraction reads the whole file
+  maxIndexFileSize: parseInt(process.env.MAX_INDEX_FILE_SIZE_MB || '50', 10) * 1024 * 1024,
+  uploadTempDir: process.env.UPLOAD_TEMP_DIR || join(tmpdir(), 'decentradocs-uploads'),
+
+  // Ingestion jobs (documents are indexed in the background after upload)
+  ingestionConcurrency: parseInt(process.env.INGESTION_CONCURRENCY || '1', 10),
+  ingestionMaxAttempts: parseInt(process.env.INGESTION_MAX_ATTEMPTS || '3', 10),
+  ingestionRetryDelayMs: parseInt(process.env.INGESTION_RETRY_DELAY_MS || '5000', 10),
+  // Finished jobs can be polled for this long before they are forgotten
+  jobRetentionMs: parseInt(process.env.JOB_RETENTION_MINUTES || '60', 10) * 60 * 1000,
+
+  // Authentication (wallet signature login, HMAC-signed session tokens)
+  authSecret: process.env.AUTH_SECRET || '',
+  authChallengeTtlSeconds: parseInt(process.env.AUTH_CHALLENGE_TTL_SECONDS || '300', 10),
+  // Outstanding challenges kept at once; the oldest are dropped beyond this
+  authMaxChallenges: parseInt(process.env.AUTH_MAX_CHALLENGES || '10000', 10),
+  authTokenTtlSeconds: parseInt(process.env.AUTH_TOKEN_TTL_SECONDS || '3600', 10),
+
+  // Conversation Configuration (multi-turn querying)
+  conversationStorePath: process.env.CONVERSATION_STORE_PATH || join(__dirname, '..', 'data', 'conversations.json'),
+  conversationHistoryTurns: parseInt(process.env.CONVERSATION_HISTORY_TURNS || '6', 10),
+
+  // LLM Provider Configuration ('openai' for OpenAI-compatible APIs, 'local' for offline use)
+  llmProvider: process.env.LLM_PROVIDER || 'openai',
 
   // OpenAI Configuration
   openaiApiKey: process.env.OPENAI_API_KEY || '',
+  openaiBaseUrl: process.env.OPENAI_BASE_URL || '',
+  embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-ada-002',
+  chatModel: process.env.CHAT_MODEL || 'gpt-3.5-turbo',
+
+  // Embedding batching (chunks per request, parallel requests, retries on 429)
+  embeddingBatchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE || '64', 10),
+  embeddingConcurrency: parseInt(process.env.EMBEDDING_CONCURRENCY || '3', 10),
+  embeddingMaxRetries: parseInt(process.env.EMBEDDING_MAX_RETRIES || '5', 10),
+
+  // Local Provider Configuration
+  localEmbeddingDimensions: parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS || '512', 10),
 
   // RAG Configuration
   chunkSize: parseInt(process.env.CHUNK_SIZE || '1000', 10),
@@ -37,9 +89,35 @@ const config = {
   similarityTopK: parseInt(process.env.SIMILARITY_TOP_K || '5', 10),
   llmTemperature: parseFloat(process.env.LLM_TEMPERATURE || '0.1'),
 
-  // Sui Configuration (for transaction data only, no backend calls)
+  // Retrieval ('vector', 'keyword' or 'hybrid'; hybrid fuses BM25 and embedding scores)
+  retrievalMode: process.env.RETRIEVAL_MODE || 'hybrid',
+  hybridVectorWeight: parseFloat(process.env.HYBRID_VECTOR_WEIGHT || '0.5'),
+  retrievalMinScore: parseFloat(process.env.RETRIEVAL_MIN_SCORE || '0'),
+  bm25K1: parseFloat(process.env.BM25_K1 || '1.2'),
+  bm25B: parseFloat(process.env.BM25_B || '0.75'),
+  // Chunks overlapping an already selected chunk of the same document by more
+  // than this share of their length are dropped from the results
+  dedupeOverlapRatio: parseFloat(process.env.DEDUPE_OVERLAP_RATIO || '0.5'),
+  // Rerank the fused candidates with the LLM provider before picking the top K
+  rerankEnabled: process.env.RERANK_ENABLED === 'true',
+  rerankCandidates: parseInt(process.env.RERANK_CANDIDATES || '20', 10),
+
+  // Vector Store Configuration ('file' persists to disk, 'memory' is lost on restart)
+  vectorStoreBackend: process.env.VECTOR_STORE_BACKEND || 'file',
+  vectorStorePath: process.env.VECTOR_STORE_PATH || join(__dirname, '..', 'data', 'vector-store.json'),
+
+  // Sui Configuration (transaction data for the frontend, and reading mint results)
   suiPackageId: process.env.SUI_PACKAGE_ID || '',
   suiModuleName: process.env.SUI_MODULE_NAME || 'registry',
+  suiRpcUrl: process.env.SUI_RPC_URL || 'https://fullnode.testnet.sui.io:443',
+
+  // Sui Event Indexer (keeps the document catalog in sync with registry events; 0 disables)
+  suiIndexerPollIntervalMs: parseInt(process.env.SUI_INDEXER_POLL_INTERVAL_MS || '10000', 10),
+  suiIndexerPageSize: parseInt(process.env.SUI_INDEXER_PAGE_SIZE || '50', 10),
+  suiIndexerStatePath: process.env.SUI_INDEXER_STATE_PATH || join(__dirname, '..', 'data', 'indexer-state.json'),
+
+  // Document Catalog (blob <-> Sui DocumentAsset mapping)
+  documentStorePath: process.env.DOCUMENT_STORE_PATH || join(__dirname, '..', 'data', 'documents.json'),
 
   // App info
   appName: 'DecentraDocs API (Express.js)',
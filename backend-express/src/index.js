@@ -2,6 +2,7 @@ import express from 'express';
 import cors from 'cors';
 import config from './config.js';
 import routes from './routes/index.js';
+import eventIndexer from './services/eventIndexer.js';
 
 const app = express();
 
@@ -61,13 +62,15 @@ app.listen(config.port, () => {
 ║                                                                ║
 ║   Server running on: http://localhost:${config.port.toString().padEnd(24)}║
 ║                                                                ║
-║   Walrus Publisher: ${config.walrusPublisherUrl.substring(0, 40).padEnd(41)}║
-║   Walrus Aggregator: ${config.walrusAggregatorUrl.substring(0, 39).padEnd(40)}║
+║   Walrus Publisher: ${config.walrusPublisherUrls.join(', ').substring(0, 40).padEnd(41)}║
+║   Walrus Aggregator: ${config.walrusAggregatorUrls.join(', ').substring(0, 39).padEnd(40)}║
 ║                                                                ║
 ║   CORS Origins: ${config.corsOrigins.join(', ').substring(0, 43).padEnd(44)}║
 ║                                                                ║
 ╚════════════════════════════════════════════════════════════════╝
   `);
+
+  eventIndexer.start();
 });
 
 export default app;
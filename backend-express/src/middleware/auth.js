@@ -0,0 +1,44 @@
+import authService from '../services/authService.js';
+
+/**
+ * Read the session token from the `Authorization: Bearer <token>` header
+ * @param {import('express').Request} req - Incoming request
+ * @returns {string|null}
+ */
+function readToken(req) {
+  const header = req.get('Authorization');
+  return header?.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null;
+}
+
+/**
+ * Require a valid session token. Sets req.walletAddress to the authenticated wallet.
+ */
+export function requireAuth(req, res, next) {
+  const walletAddress = authService.verifyToken(readToken(req));
+
+  if (!walletAddress) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      detail: 'Please sign in with your wallet',
+      message: 'Please sign in with your wallet',
+    });
+  }
+
+  req.walletAddress = walletAddress;
+  next();
+}
+
+/**
+ * Accept requests without a session token. Sets req.walletAddress when a valid
+ * token is present, null otherwise; an invalid token is still rejected so
+ * clients notice an expired session instead of silently losing access.
+ */
+export function optionalAuth(req, res, next) {
+  const token = readToken(req);
+  if (!token) {
+    req.walletAddress = null;
+    return next();
+  }
+
+  requireAuth(req, res, next);
+}
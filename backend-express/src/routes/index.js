@@ -1,19 +1,150 @@
 import { Router } from 'express';
+import { createReadStream } from 'fs';
+import { pipeline } from 'stream/promises';
 import multer from 'multer';
+import { isValidSuiAddress, isValidTransactionDigest } from '@mysten/sui/utils';
 import config from '../config.js';
 import walrusService from '../services/walrusService.js';
 import ragService from '../services/ragService.js';
+import conversationService from '../services/conversationService.js';
+import authService from '../services/authService.js';
+import documentService, { ragStatusFromResult } from '../services/documentService.js';
+import suiService from '../services/suiService.js';
+import eventIndexer from '../services/eventIndexer.js';
+import jobService from '../services/jobService.js';
+import { requireAuth, optionalAuth } from '../middleware/auth.js';
+import { sameAddress } from '../utils/address.js';
+import { isEncryptedBlob } from '../utils/encryptedBlob.js';
+import { StreamingStorage, removeUploadedFiles } from '../utils/streamingStorage.js';
 
 const router = Router();
 
-// Configure multer for file uploads (memory storage)
+// Configure multer for file uploads. Files go to temporary files, and the
+// stored document is streamed to Walrus while it is being received.
 const upload = multer({
-  storage: multer.memoryStorage(),
+  storage: new StreamingStorage({
+    directory: config.uploadTempDir,
+    forward: {
+      // Retries read the file again from its temporary copy
+      file: (stream, signal, stored) => walrusService.uploadBlob(stream, {
+        signal,
+        retryContent: async () => createReadStream(await stored),
+      }),
+    },
+  }),
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
+    fileSize: config.maxUploadSize,
   },
 });
 
+const MEGABYTE = 1024 * 1024;
+
+/**
+ * Wrap a multer middleware so upload failures (oversized files, Walrus
+ * errors while streaming) get a JSON error response
+ * @param {import('express').RequestHandler} middleware - multer middleware
+ * @returns {import('express').RequestHandler}
+ */
+function receiveUpload(middleware) {
+  return (req, res, next) => middleware(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const detail = error.code === 'LIMIT_FILE_SIZE'
+        ? `Files can be at most ${config.maxUploadSize / MEGABYTE} MB`
+        : error.message;
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        error: 'Upload rejected',
+        detail,
+        message: detail,
+      });
+    }
+
+    console.error('Upload error:', error);
+    res.status(500).json({
+      error: 'Upload failed',
+      detail: error.message,
+      message: error.message,
+    });
+  });
+}
+
+// Document sets a query can be scoped to
+const QUERY_SCOPES = ['accessible', 'public'];
+
+// How chunks are ranked, see ragService.retrieveChunks()
+const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+
+// Content types for documents served inline (e.g. PDFs opened at a cited page)
+const INLINE_CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  txt: 'text/plain; charset=utf-8',
+  md: 'text/plain; charset=utf-8',
+  csv: 'text/plain; charset=utf-8',
+  json: 'application/json',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+};
+
+/**
+ * Get the owner and visibility of a document. The catalog knows every upload,
+ * including documents that were never indexed; the RAG index covers documents
+ * indexed before the catalog existed.
+ * @param {string} blobId - Walrus blob ID
+ * @returns {{walletAddress: string, isPublic: boolean}|null} - null if no source knows the owner
+ */
+function getDocumentAccess(blobId) {
+  const record = documentService.getByBlobId(blobId);
+  if (record?.walletAddress) {
+    return { walletAddress: record.walletAddress, isPublic: !!record.isPublic };
+  }
+
+  const access = ragService.getDocumentAccess(blobId);
+  return access?.walletAddress ? access : null;
+}
+
+/**
+ * Reject requests that verify registry transactions while SUI_PACKAGE_ID is
+ * unset: without it, events from any package could pass as registry events.
+ */
+function requireSuiPackage(req, res, next) {
+  if (!config.suiPackageId) {
+    return res.status(503).json({
+      error: 'Sui registry not configured',
+      detail: 'Set SUI_PACKAGE_ID to the deployed document registry package',
+      message: 'Set SUI_PACKAGE_ID to the deployed document registry package',
+    });
+  }
+  next();
+}
+
+/**
+ * Serialize a document catalog record for API responses
+ * @param {object} record - Record from documentService
+ * @returns {object}
+ */
+function formatDocument(record) {
+  return {
+    document_id: record.documentId,
+    walrus_blob_id: record.blobId,
+    transaction_digest: record.transactionDigest,
+    wallet_address: record.walletAddress,
+    name: record.filename,
+    size: record.size,
+    is_public: record.isPublic,
+    encrypted: record.encrypted,
+    status: record.status,
+    rag_status: record.ragStatus,
+    chunks_created: record.ragChunks,
+    rag_error: record.ragError,
+    uploaded_at: record.uploadedAt,
+    minted_at: record.mintedAt,
+  };
+}
+
 // ============================================
 // Health Check Endpoints
 // ============================================
@@ -28,16 +159,18 @@ router.get('/', (req, res) => {
     status: 'healthy',
     message: `Welcome to ${config.appName}`,
     services: {
-      walrus: {
-        available: true,
-        publisherUrl: config.walrusPublisherUrl,
-        aggregatorUrl: config.walrusAggregatorUrl,
-      },
+      walrus: walrusService.getStatus(),
       rag: {
         available: ragService.isAvailable(),
+        provider: ragService.getProviderInfo(),
         documentsLoaded: ragStats.totalDocuments,
         chunksLoaded: ragStats.totalChunks,
+        storeBackend: ragStats.storeBackend,
+        retrievalMode: config.retrievalMode,
+        rerankEnabled: config.rerankEnabled,
       },
+      indexer: eventIndexer.getStatus(),
+      jobs: jobService.getStatus(),
     },
     version: '1.0.0',
   });
@@ -53,21 +186,145 @@ router.get('/health', (req, res) => {
   });
 });
 
+// ============================================
+// Authentication Endpoints
+// ============================================
+
+/**
+ * POST /auth/challenge - Request a sign-in challenge for a wallet
+ * Body (JSON):
+ *   - wallet_address: Wallet that wants to sign in
+ *
+ * The wallet signs the returned message as a personal message and posts the
+ * signature to /auth/verify.
+ */
+router.post('/auth/challenge', (req, res) => {
+  const walletAddress = req.body.wallet_address;
+
+  if (!walletAddress) {
+    return res.status(400).json({
+      error: 'No wallet address provided',
+      detail: 'Please provide a wallet address',
+      message: 'Please provide a wallet address',
+    });
+  }
+
+  if (typeof walletAddress !== 'string' || !isValidSuiAddress(walletAddress.trim())) {
+    return res.status(400).json({
+      error: 'Invalid wallet address',
+      detail: 'Please provide a full Sui address (0x followed by 64 hex characters)',
+      message: 'Please provide a full Sui address (0x followed by 64 hex characters)',
+    });
+  }
+
+  const challenge = authService.createChallenge(walletAddress);
+
+  res.json({
+    nonce: challenge.nonce,
+    message: challenge.message,
+    expires_at: challenge.expiresAt,
+  });
+});
+
+/**
+ * POST /auth/verify - Exchange a signed challenge for a session token
+ * Body (JSON):
+ *   - wallet_address: Wallet that signed the challenge
+ *   - signature: Serialized signature returned by the wallet
+ *
+ * The token is sent as `Authorization: Bearer <token>` on protected endpoints.
+ */
+router.post('/auth/verify', async (req, res) => {
+  const { wallet_address, signature } = req.body;
+
+  if (!wallet_address || !signature) {
+    return res.status(400).json({
+      error: 'Missing wallet_address or signature',
+      detail: 'Please provide the wallet_address and the signed challenge',
+      message: 'Please provide the wallet_address and the signed challenge',
+    });
+  }
+
+  try {
+    const session = await authService.verifyChallenge(wallet_address, signature);
+    console.log(`Wallet signed in: ${session.walletAddress}`);
+
+    res.json({
+      token: session.token,
+      wallet_address: session.walletAddress,
+      expires_at: session.expiresAt,
+    });
+  } catch (error) {
+    res.status(401).json({
+      error: 'Authentication failed',
+      detail: error.message,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /auth/session - Check the current session token
+ */
+router.get('/auth/session', requireAuth, (req, res) => {
+  res.json({
+    wallet_address: req.walletAddress,
+  });
+});
+
 // ============================================
 // Document Upload Endpoints
 // ============================================
 
 /**
- * POST /upload-document - Upload document to Walrus and process for RAG
+ * Serialize an ingestion job for API responses
+ * @param {object} job - Job from jobService
+ * @returns {object}
+ */
+function formatJob(job) {
+  const record = documentService.getByBlobId(job.blobId);
+
+  return {
+    job_id: job.id,
+    type: job.type,
+    blob_id: job.blobId,
+    filename: job.filename,
+    stage: job.stage,
+    finished: jobService.isFinished(job),
+    chunks_embedded: job.chunksEmbedded,
+    total_chunks: job.totalChunks,
+    attempts: job.attempts,
+    max_attempts: jobService.maxAttempts,
+    error: job.error,
+    document: record ? formatDocument(record) : null,
+    created_at: job.createdAt,
+    updated_at: job.updatedAt,
+    finished_at: job.finishedAt,
+  };
+}
+
+/**
+ * POST /upload-document - Upload document to Walrus and queue it for RAG indexing
+ * Requires a session token; the document is owned by the signed-in wallet.
  * Body (multipart/form-data):
- *   - file: The document file
- *   - wallet_address: User's wallet address
+ *   - file: The document file, or its client-side encrypted form for private documents
+ *   - index_file: Optional plaintext of an encrypted file, sent only when the
+ *     user opts in to AI indexing; it is indexed but never stored on Walrus
  *   - is_public: Whether document is public (optional, default false)
+ * Files may be up to MAX_UPLOAD_SIZE_MB; they are streamed to Walrus as they arrive.
+ * Indexing runs in the background: poll GET /jobs/{job_id} for its progress.
  */
-router.post('/upload-document', upload.single('file'), async (req, res) => {
+router.post('/upload-document', requireAuth, receiveUpload(upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'index_file', maxCount: 1 },
+])), async (req, res) => {
+  // Temporary file handed over to the ingestion job, which removes it when
+  // done; until the job is queued it is removed with the other uploads
+  let jobFilePath = null;
+
   try {
-    const file = req.file;
-    const walletAddress = req.body.wallet_address;
+    const file = req.files?.file?.[0];
+    const walletAddress = req.walletAddress;
     const isPublic = req.body.is_public === 'true';
 
     if (!file) {
@@ -78,37 +335,60 @@ router.post('/upload-document', upload.single('file'), async (req, res) => {
       });
     }
 
-    if (!walletAddress) {
-      return res.status(400).json({
-        error: 'No wallet address provided',
-        detail: 'Please provide a wallet address',
-        message: 'Please provide a wallet address',
-      });
-    }
-
-    console.log(`Uploading document: ${file.originalname} for wallet: ${walletAddress}`);
+    const encrypted = isEncryptedBlob(file.header);
+    // Encrypted documents can only be indexed from the plaintext the user chose to share
+    const indexFile = encrypted ? req.files?.index_file?.[0] : file;
 
-    // 1. Upload to Walrus
-    const walrusResult = await walrusService.uploadBlob(file.buffer);
-    console.log(`Uploaded to Walrus: ${walrusResult.blobId}`);
+    // 1. The file was streamed to Walrus while it was received
+    const walrusResult = file.forwarded;
+    console.log(
+      `Uploaded ${encrypted ? 'encrypted ' : ''}document ${file.originalname} (${file.size} bytes) ` +
+      `for wallet ${walletAddress} to Walrus: ${walrusResult.blobId}`
+    );
 
-    // 2. Process for RAG (if available)
-    let ragResult = null;
-    if (ragService.isAvailable()) {
-      ragResult = await ragService.processDocument(
-        walrusResult.blobId,
-        file.buffer,
-        file.originalname,
-        {
-          walletAddress,
-          isPublic,
-          uploadedAt: Date.now(),
-        }
-      );
-      console.log(`RAG processing: ${ragResult.chunksCreated} chunks created`);
+    // 2. Decide whether the document can be indexed (if available and allowed)
+    let skipReason = null;
+    let ragError = null;
+    let indexFilePath = null;
+    if (!ragService.isAvailable()) {
+      skipReason = 'unavailable';
+    } else if (!indexFile) {
+      skipReason = 'skipped';
+    } else if (indexFile.size > config.maxIndexFileSize) {
+      ragError = `File is too large to index (limit ${config.maxIndexFileSize / MEGABYTE} MB)`;
+    } else {
+      indexFilePath = indexFile.path;
     }
 
-    // 3. Prepare Sui transaction data for frontend to execute
+    // 3. Record the upload so it can be linked to the minted document later
+    await documentService.createRecord({
+      blobId: walrusResult.blobId,
+      walletAddress,
+      filename: (indexFile || file).originalname,
+      size: file.size,
+      isPublic,
+      encrypted,
+      rag: { status: skipReason || (ragError ? 'failed' : 'queued'), chunks: 0, error: ragError },
+    });
+
+    // 4. Index in the background; progress is reported by GET /jobs/:jobId
+    const job = jobService.enqueueIngestion({
+      blobId: walrusResult.blobId,
+      walletAddress,
+      filename: (indexFile || file).originalname,
+      filePath: indexFilePath,
+      metadata: {
+        walletAddress,
+        isPublic,
+        encrypted,
+        uploadedAt: Date.now(),
+      },
+      skipReason,
+      error: ragError,
+    });
+    jobFilePath = indexFilePath;
+
+    // 5. Prepare Sui transaction data for frontend to execute
     const suiTransactionData = config.suiPackageId
       ? {
           package_id: config.suiPackageId,
@@ -129,8 +409,9 @@ router.post('/upload-document', upload.single('file'), async (req, res) => {
       document_id: null, // Will be set after Sui transaction
       message: 'Document uploaded to Walrus. Please sign the Sui transaction to complete.',
       sui_transaction_data: suiTransactionData,
-      rag_processed: ragResult?.success || false,
-      chunks_created: ragResult?.chunksCreated || 0,
+      encrypted,
+      job_id: job.id,
+      job: formatJob(job),
     });
   } catch (error) {
     console.error('Upload error:', error);
@@ -139,39 +420,134 @@ router.post('/upload-document', upload.single('file'), async (req, res) => {
       detail: error.message,
       message: error.message,
     });
+  } finally {
+    await removeUploadedFiles(req, { keep: [jobFilePath] });
+  }
+});
+
+/**
+ * GET /jobs/:jobId - Progress of a document's background indexing
+ * Requires a session token for the wallet that uploaded the document.
+ * Stages: queued, extracting, embedding, retrying, then indexed, skipped or
+ * failed. `document` is the catalog record, whose status turns 'minted' once
+ * the Sui transaction is completed.
+ */
+router.get('/jobs/:jobId', requireAuth, (req, res) => {
+  const job = jobService.getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      detail: `No job with ID ${req.params.jobId}`,
+      message: `No job with ID ${req.params.jobId}`,
+    });
   }
+
+  if (!sameAddress(job.walletAddress, req.walletAddress)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      detail: 'This job belongs to another wallet',
+      message: 'This job belongs to another wallet',
+    });
+  }
+
+  res.json(formatJob(job));
 });
 
 /**
  * POST /complete-upload - Complete upload after Sui transaction is signed
+ * Requires a session token for the wallet that uploaded the blob, and
+ * SUI_PACKAGE_ID to be set.
  * Body (multipart/form-data or JSON):
  *   - blob_id: Walrus blob ID
  *   - transaction_digest: Sui transaction digest
- *   - wallet_address: User's wallet address
+ * The document ID is always read from the transaction on chain. When the Sui
+ * RPC node can't be reached the record stays pending and a retryable 503 is
+ * returned; the event indexer also completes it once it sees the mint.
  */
-router.post('/complete-upload', upload.none(), async (req, res) => {
+router.post('/complete-upload', requireAuth, requireSuiPackage, receiveUpload(upload.none()), async (req, res) => {
   try {
     const blobId = req.body.blob_id;
     const transactionDigest = req.body.transaction_digest;
-    const walletAddress = req.body.wallet_address;
 
-    if (!blobId) {
+    if (!blobId || !transactionDigest) {
       return res.status(400).json({
-        error: 'Missing blob_id',
-        detail: 'Please provide the blob_id',
-        message: 'Please provide the blob_id',
+        error: 'Missing blob_id or transaction_digest',
+        detail: 'Please provide the blob_id and the transaction_digest',
+        message: 'Please provide the blob_id and the transaction_digest',
+      });
+    }
+
+    if (!isValidTransactionDigest(transactionDigest)) {
+      return res.status(400).json({
+        error: 'Invalid transaction_digest',
+        detail: `Not a Sui transaction digest: ${transactionDigest}`,
+        message: `Not a Sui transaction digest: ${transactionDigest}`,
+      });
+    }
+
+    const record = documentService.getByBlobId(blobId);
+    if (!record) {
+      return res.status(404).json({
+        error: 'Upload not found',
+        detail: `No upload recorded for blob ${blobId}`,
+        message: `No upload recorded for blob ${blobId}`,
+      });
+    }
+
+    if (!sameAddress(record.walletAddress, req.walletAddress)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        detail: 'This upload belongs to another wallet',
+        message: 'This upload belongs to another wallet',
       });
     }
 
     console.log(`Completing upload for blob: ${blobId}, tx: ${transactionDigest}`);
 
-    // For now, just acknowledge the completion
-    // In a production system, you might want to store this mapping
+    // Read the minted object ID from the transaction's DocumentMinted event
+    let minted = null;
+    try {
+      minted = await suiService.findMintedDocument(transactionDigest, blobId);
+    } catch (error) {
+      console.warn(`Could not look up transaction ${transactionDigest}: ${error.message}`);
+      return res.status(503).json({
+        error: 'Sui lookup failed',
+        detail: 'The transaction could not be verified on Sui yet; please retry. ' +
+          'The document is also recorded automatically once its mint is indexed.',
+        message: `Could not look up transaction ${transactionDigest}: ${error.message}`,
+      });
+    }
+
+    if (!minted) {
+      return res.status(400).json({
+        error: 'Document not minted',
+        detail: 'The transaction did not mint a document for this blob',
+        message: 'The transaction did not mint a document for this blob',
+      });
+    }
+
+    if (!sameAddress(minted.owner, req.walletAddress)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        detail: 'The document was minted by another wallet',
+        message: 'The document was minted by another wallet',
+      });
+    }
+
+    const completed = await documentService.completeRecord(blobId, {
+      documentId: minted.documentId,
+      transactionDigest,
+      uploadedAt: minted.uploadedAt,
+    });
+
     res.json({
       status: 'success',
       message: 'Upload completed successfully',
       blob_id: blobId,
       transaction_digest: transactionDigest,
+      document_id: completed.documentId,
+      document: formatDocument(completed),
     });
   } catch (error) {
     console.error('Complete upload error:', error);
@@ -189,24 +565,117 @@ router.post('/complete-upload', upload.none(), async (req, res) => {
 
 /**
  * GET /download/:blobId - Download document from Walrus
+ * A session token is required for private documents, and blobs whose owner is
+ * not recorded in the catalog or the RAG index are not served. Blobs never change, so
+ * the blob ID is the ETag: If-None-Match gets a 304 without a download, and
+ * single byte ranges (Range, If-Range) of cached blobs are served for resuming.
+ * Blobs are streamed, never held in memory.
+ * Query:
+ *   - filename: Optional filename to use for the download
+ *   - inline: Serve viewable types (e.g. PDF) inline so clients can link to #page=N
  */
-router.get('/download/:blobId', async (req, res) => {
+router.get('/download/:blobId', optionalAuth, async (req, res) => {
   try {
     const { blobId } = req.params;
+    const walletAddress = req.walletAddress;
+
+    const access = getDocumentAccess(blobId);
+    if (!access) {
+      return res.status(404).json({
+        error: 'Document not found',
+        detail: 'No owner is recorded for this document',
+        message: 'No owner is recorded for this document',
+      });
+    }
+
+    if (!ragService.canAccess(access, walletAddress)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        detail: 'This document is private to its owner',
+        message: 'This document is private to its owner',
+      });
+    }
+
+    // A repeated query parameter is parsed as an array
+    const requestedName = typeof req.query.filename === 'string' ? req.query.filename : '';
+    const filename = (requestedName || blobId).replace(/["\\\r\n]/g, '_');
+    const extension = filename.toLowerCase().split('.').pop();
+    const inlineType = req.query.inline === 'true' ? INLINE_CONTENT_TYPES[extension] : null;
+
+    const etag = `"${blobId}"`;
+    res.setHeader('ETag', etag);
+    // Access is checked on every request, so clients revalidate instead of reusing a copy
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
 
     console.log(`Downloading blob: ${blobId}`);
 
-    const content = await walrusService.downloadBlob(blobId);
+    // Cached blobs are streamed from disk, others from Walrus (and into the cache)
+    const cached = await walrusService.getCachedBlobFile(blobId);
+    const download = cached ? null : await walrusService.openBlobStream(blobId);
 
     // Set headers for file download
-    res.setHeader('Content-Type', 'application/octet-stream');
-    res.setHeader('Content-Disposition', `attachment; filename="${blobId}"`);
-    res.setHeader('Content-Length', content.length);
+    res.setHeader('Content-Type', inlineType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `${inlineType ? 'inline' : 'attachment'}; filename="${filename}"`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    // Ranges are served from the cache; a blob not cached yet is sent whole
+    if (download) {
+      if (download.size !== null) {
+        res.setHeader('Content-Length', download.size);
+      }
+      if (req.method === 'HEAD') {
+        download.stream.destroy();
+        return res.end();
+      }
+      return await pipeline(download.stream, res);
+    }
+
+    const { size } = cached;
+    const sendBytes = async (start, end) => {
+      res.setHeader('Content-Length', end - start + 1);
+      if (req.method === 'HEAD' || size === 0) {
+        return res.end();
+      }
+      await pipeline(createReadStream(cached.path, { start, end }), res);
+    };
+
+    // A Range with a stale If-Range, or one that cannot be parsed, gets the whole blob
+    const ifRange = req.get('If-Range');
+    const ranges = req.get('Range') && (!ifRange || ifRange === etag)
+      ? req.range(size, { combine: true })
+      : undefined;
+
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).json({
+        error: 'Range not satisfiable',
+        detail: `The document is ${size} bytes long`,
+        message: `The document is ${size} bytes long`,
+      });
+    }
 
-    res.send(content);
+    // Multiple ranges are rare for downloads; those get the whole blob too
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      const { start, end } = ranges[0];
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+      return await sendBytes(start, end);
+    }
+
+    await sendBytes(0, size - 1);
   } catch (error) {
     console.error('Download error:', error);
 
+    // The response is already streaming; all that can be done is to cut it off
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
     if (error.message.includes('not found')) {
       return res.status(404).json({
         error: 'Document not found',
@@ -224,45 +693,151 @@ router.get('/download/:blobId', async (req, res) => {
 });
 
 /**
- * GET /documents/:walletAddress - Get documents for a wallet (placeholder)
- * Note: In the Express version, document listing is handled by the frontend
- * querying the Sui blockchain directly. This endpoint is kept for compatibility.
+ * GET /documents/:walletAddress - List documents uploaded by a wallet, newest first
+ * Private documents are only listed for the wallet's own session.
  */
-router.get('/documents/:walletAddress', async (req, res) => {
+router.get('/documents/:walletAddress', optionalAuth, (req, res) => {
   const { walletAddress } = req.params;
 
-  // Return empty list - frontend should query Sui blockchain directly
+  const documents = documentService.listByWallet(walletAddress, {
+    includePrivate: sameAddress(walletAddress, req.walletAddress),
+  });
+
   res.json({
-    documents: [],
-    total: 0,
-    message: 'Document listing is handled by frontend via Sui blockchain queries',
+    documents: documents.map(formatDocument),
+    total: documents.length,
   });
 });
 
 /**
- * GET /documents/:walletAddress/:documentId - Get specific document metadata
+ * GET /documents/:walletAddress/:documentId - Get a document's catalog record
+ * The document can be looked up by its Sui object ID or its Walrus blob ID.
  */
-router.get('/documents/:walletAddress/:documentId', async (req, res) => {
+router.get('/documents/:walletAddress/:documentId', optionalAuth, (req, res) => {
   const { walletAddress, documentId } = req.params;
 
-  // Return not implemented - frontend should query Sui blockchain directly
-  res.json({
-    message: 'Document metadata is handled by frontend via Sui blockchain queries',
-    documentId,
-    walletAddress,
-  });
+  const record = documentService.getByDocumentId(documentId) || documentService.getByBlobId(documentId);
+
+  if (!record || !sameAddress(record.walletAddress, walletAddress)) {
+    return res.status(404).json({
+      error: 'Document not found',
+      detail: `No document ${documentId} for wallet ${walletAddress}`,
+      message: `No document ${documentId} for wallet ${walletAddress}`,
+    });
+  }
+
+  if (!record.isPublic && !sameAddress(record.walletAddress, req.walletAddress)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      detail: 'This document is private to its owner',
+      message: 'This document is private to its owner',
+    });
+  }
+
+  res.json(formatDocument(record));
+});
+
+/**
+ * POST /documents/sync - Apply a registry transaction (visibility change,
+ * transfer, mint) to the document catalog and RAG metadata right away,
+ * instead of waiting for the event indexer to pick it up.
+ * Requires a session token for the wallet that sent the transaction, and
+ * SUI_PACKAGE_ID to be set.
+ * Body (JSON):
+ *   - transaction_digest: Digest of the executed transaction
+ */
+router.post('/documents/sync', requireAuth, requireSuiPackage, async (req, res) => {
+  try {
+    const transactionDigest = req.body.transaction_digest;
+
+    if (!transactionDigest || !isValidTransactionDigest(transactionDigest)) {
+      return res.status(400).json({
+        error: 'Invalid transaction_digest',
+        detail: 'Please provide the digest of the executed transaction',
+        message: 'Please provide the digest of the executed transaction',
+      });
+    }
+
+    const { sender, events } = await suiService.getRegistryEvents(transactionDigest);
+
+    if (!sameAddress(sender, req.walletAddress)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        detail: 'The transaction was sent by another wallet',
+        message: 'The transaction was sent by another wallet',
+      });
+    }
+
+    if (events.length === 0) {
+      return res.status(400).json({
+        error: 'No document events',
+        detail: 'The transaction did not emit any document registry events',
+        message: 'The transaction did not emit any document registry events',
+      });
+    }
+
+    const documents = [];
+    for (const event of events) {
+      const document = await eventIndexer.handleEvent(event);
+      if (document) {
+        documents.push({
+          document_id: document.documentId,
+          walrus_blob_id: document.blobId,
+          wallet_address: document.walletAddress,
+          is_public: document.isPublic,
+        });
+      }
+    }
+
+    console.log(`Synced ${documents.length} document(s) from transaction ${transactionDigest}`);
+
+    res.json({
+      message: `Synced ${documents.length} document(s)`,
+      transaction_digest: transactionDigest,
+      documents,
+    });
+  } catch (error) {
+    console.error('Sync error:', error);
+    res.status(500).json({
+      error: 'Sync failed',
+      detail: error.message,
+      message: error.message,
+    });
+  }
 });
 
 /**
  * DELETE /documents/:blobId - Delete document embeddings from RAG
+ * Requires a session token for the wallet that owns the document.
  */
-router.delete('/documents/:blobId', async (req, res) => {
+router.delete('/documents/:blobId', requireAuth, async (req, res) => {
   try {
     const { blobId } = req.params;
+    const walletAddress = req.walletAddress;
+
+    const access = getDocumentAccess(blobId);
+    if (!access) {
+      return res.status(404).json({
+        error: 'Document not found',
+        detail: 'No owner is recorded for this document',
+        message: 'No owner is recorded for this document',
+      });
+    }
+
+    if (!sameAddress(access.walletAddress, walletAddress)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        detail: 'Only the document owner can delete it',
+        message: 'Only the document owner can delete it',
+      });
+    }
 
     console.log(`Deleting document embeddings for blob: ${blobId}`);
 
-    const result = ragService.deleteDocument(blobId);
+    const result = await ragService.deleteDocument(blobId);
+    if (result.deletedChunks > 0) {
+      await documentService.updateRagStatus(blobId, { status: 'removed' });
+    }
 
     res.json({
       message: 'Document embeddings deleted',
@@ -303,20 +878,264 @@ router.get('/stats/:blobId', async (req, res) => {
   }
 });
 
+/**
+ * POST /reindex - Rebuild RAG embeddings from blobs already stored on Walrus
+ * Requires a session token for the wallet that owns each document in the
+ * catalog; documents are indexed with the owner and visibility recorded there.
+ * Body (JSON):
+ *   - documents: Array of { blob_id, filename }
+ */
+router.post('/reindex', requireAuth, async (req, res) => {
+  try {
+    const { documents } = req.body;
+
+    if (!Array.isArray(documents) || documents.length === 0) {
+      return res.status(400).json({
+        error: 'No documents provided',
+        detail: 'Please provide a non-empty documents array',
+        message: 'Please provide a non-empty documents array',
+      });
+    }
+
+    const invalid = documents.find(doc => !doc || !doc.blob_id || !doc.filename);
+    if (invalid) {
+      return res.status(400).json({
+        error: 'Invalid document entry',
+        detail: 'Each document requires a blob_id and a filename',
+        message: 'Each document requires a blob_id and a filename',
+      });
+    }
+
+    if (!ragService.isAvailable()) {
+      return res.status(503).json({
+        error: 'RAG service unavailable',
+        detail: 'The AI query service is not configured. Please set OPENAI_API_KEY or LLM_PROVIDER=local.',
+        message: 'The AI query service is not configured. Please set OPENAI_API_KEY or LLM_PROVIDER=local.',
+      });
+    }
+
+    console.log(`Reindexing ${documents.length} document(s) from Walrus`);
+
+    // Process one blob at a time to keep memory and API usage bounded
+    const results = [];
+    for (const doc of documents) {
+      // Re-indexing must not hand another wallet's document to a new owner, so
+      // only the owner recorded in the catalog may index a blob
+      const record = documentService.getByBlobId(doc.blob_id);
+      if (!record?.walletAddress || !sameAddress(record.walletAddress, req.walletAddress)) {
+        results.push({
+          blob_id: doc.blob_id,
+          filename: doc.filename,
+          success: false,
+          chunks_created: 0,
+          error: record ? 'Document belongs to another wallet' : 'Document is not in the catalog',
+        });
+        continue;
+      }
+
+      try {
+        const content = await walrusService.downloadBlob(doc.blob_id);
+        if (isEncryptedBlob(content)) {
+          throw new Error('Document is encrypted in the browser and cannot be indexed by the server');
+        }
+
+        const ragResult = await ragService.processDocument(
+          doc.blob_id,
+          content,
+          doc.filename,
+          {
+            walletAddress: record.walletAddress,
+            isPublic: !!record.isPublic,
+            uploadedAt: record.uploadedAt || Date.now(),
+          }
+        );
+
+        await documentService.updateRagStatus(doc.blob_id, ragStatusFromResult(ragResult));
+
+        results.push({
+          blob_id: doc.blob_id,
+          filename: doc.filename,
+          success: ragResult.success,
+          chunks_created: ragResult.chunksCreated,
+          error: ragResult.error || null,
+        });
+      } catch (error) {
+        console.error(`Reindex failed for blob ${doc.blob_id}:`, error.message);
+        results.push({
+          blob_id: doc.blob_id,
+          filename: doc.filename,
+          success: false,
+          chunks_created: 0,
+          error: error.message,
+        });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      message: `Reindexed ${succeeded} of ${results.length} document(s)`,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
+  } catch (error) {
+    console.error('Reindex error:', error);
+    res.status(500).json({
+      error: 'Reindex failed',
+      detail: error.message,
+      message: error.message,
+    });
+  }
+});
+
 // ============================================
-// AI Query Endpoint
+// AI Query and Search Endpoints
 // ============================================
 
+/**
+ * Write a single Server-Sent Event
+ * @param {import('express').Response} res - Response to write to
+ * @param {string} event - Event name
+ * @param {object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Check the optional document_ids of a query or search
+ * @param {*} value - Request value
+ * @returns {boolean} - Whether it is absent or an array of blob IDs
+ */
+function isDocumentIdList(value) {
+  return value === undefined || value === null
+    || (Array.isArray(value) && value.every(id => typeof id === 'string'));
+}
+
+/**
+ * Read the retrieval options of a query request
+ * @param {{mode?: string, min_score?: number, rerank?: boolean}} body - Request body
+ * @returns {{options?: {mode: string|undefined, minScore: number|undefined, rerank: boolean|undefined}, error?: string}}
+ *   Unset options are left undefined so the configured defaults apply
+ */
+function readRetrievalOptions({ mode, min_score, rerank }) {
+  if (mode !== undefined && !RETRIEVAL_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${RETRIEVAL_MODES.join(', ')}` };
+  }
+  if (min_score !== undefined && (typeof min_score !== 'number' || min_score < 0 || min_score > 1)) {
+    return { error: 'min_score must be a number between 0 and 1' };
+  }
+  if (rerank !== undefined && typeof rerank !== 'boolean') {
+    return { error: 'rerank must be true or false' };
+  }
+
+  return { options: { mode, minScore: min_score, rerank } };
+}
+
+/**
+ * Stream a query answer as Server-Sent Events. Generation is aborted when the
+ * client disconnects.
+ * @param {import('express').Request} req - Incoming request
+ * @param {import('express').Response} res - Response to stream to
+ * @param {string} question - The question to ask
+ * @param {object} conversation - Conversation the question belongs to
+ * @param {{documentIds: string[]|null, walletAddress: string|null, scope: string, retrieval: object}} search -
+ *   What to search and how, see readRetrievalOptions()
+ */
+async function streamQuery(req, res, question, conversation, { documentIds, walletAddress, scope, retrieval }) {
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Keep reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+
+  let sources = [];
+  try {
+    const events = ragService.streamQuery(question, documentIds, {
+      signal: controller.signal,
+      history: conversationService.getHistory(conversation.id),
+      walletAddress,
+      scope,
+      ...retrieval,
+    });
+
+    for await (const event of events) {
+      if (controller.signal.aborted) break;
+
+      if (event.type === 'sources') {
+        sources = event.sources;
+        sendEvent(res, 'sources', {
+          sources,
+          conversation_id: conversation.id,
+          condensed_question: event.condensedQuestion,
+        });
+      } else if (event.type === 'token') {
+        sendEvent(res, 'token', { text: event.text });
+      } else if (event.type === 'done') {
+        await conversationService.addTurn(conversation.id, {
+          question,
+          condensedQuestion: event.condensedQuestion,
+          answer: event.answer,
+          sources,
+        });
+
+        sendEvent(res, 'done', {
+          answer: event.answer,
+          question: event.question,
+          conversation_id: conversation.id,
+          sources_count: sources.length,
+          duration_ms: Date.now() - startedAt,
+        });
+      }
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`Query stream cancelled by client: "${question}"`);
+    } else {
+      console.error('Query stream error:', error);
+      sendEvent(res, 'error', {
+        error: 'Query failed',
+        detail: error.message,
+        message: error.message,
+      });
+    }
+  } finally {
+    res.end();
+  }
+}
+
 /**
  * POST /query - Query documents with AI
+ * Without a session token only public documents are searched.
  * Body (JSON):
  *   - question: The question to ask
- *   - document_ids: Optional array of blob IDs to search (null for all)
- *   - wallet_address: Optional wallet address
+ *   - document_ids: Optional array of blob IDs to search (null for all accessible documents)
+ *   - scope: Optional, 'accessible' (default) or 'public' to search only documents
+ *     other wallets made public
+ *   - mode: Optional, 'vector', 'keyword' or 'hybrid' (default RETRIEVAL_MODE)
+ *   - min_score: Optional, drop chunks scoring below this (0-1, default RETRIEVAL_MIN_SCORE)
+ *   - rerank: Optional, rerank the retrieved chunks with the LLM provider (default RERANK_ENABLED)
+ *   - conversation_id: Optional conversation to continue (a new one is started if omitted).
+ *     An anonymous conversation continued while signed in becomes the wallet's.
+ *   - stream: Optional, stream the answer as Server-Sent Events
+ *
+ * Streaming responses emit a `sources` event, then `token` events as the answer
+ * is generated, and finally a `done` event (or `error` if generation fails).
  */
-router.post('/query', async (req, res) => {
+router.post('/query', optionalAuth, async (req, res) => {
   try {
-    const { question, document_ids, wallet_address } = req.body;
+    const { question, document_ids, conversation_id, stream, scope = 'accessible' } = req.body;
+    const walletAddress = req.walletAddress;
 
     if (!question) {
       return res.status(400).json({
@@ -326,22 +1145,96 @@ router.post('/query', async (req, res) => {
       });
     }
 
+    if (!QUERY_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        error: 'Invalid scope',
+        detail: `scope must be one of: ${QUERY_SCOPES.join(', ')}`,
+        message: `scope must be one of: ${QUERY_SCOPES.join(', ')}`,
+      });
+    }
+
+    if (!isDocumentIdList(document_ids)) {
+      return res.status(400).json({
+        error: 'Invalid document_ids',
+        detail: 'document_ids must be an array of blob IDs',
+        message: 'document_ids must be an array of blob IDs',
+      });
+    }
+
+    const { options: retrieval, error: retrievalError } = readRetrievalOptions(req.body);
+    if (retrievalError) {
+      return res.status(400).json({
+        error: 'Invalid retrieval options',
+        detail: retrievalError,
+        message: retrievalError,
+      });
+    }
+
     if (!ragService.isAvailable()) {
       return res.status(503).json({
         error: 'RAG service unavailable',
-        detail: 'The AI query service is not configured. Please set OPENAI_API_KEY.',
-        message: 'The AI query service is not configured. Please set OPENAI_API_KEY.',
+        detail: 'The AI query service is not configured. Please set OPENAI_API_KEY or LLM_PROVIDER=local.',
+        message: 'The AI query service is not configured. Please set OPENAI_API_KEY or LLM_PROVIDER=local.',
+      });
+    }
+
+    let conversation;
+    if (conversation_id) {
+      conversation = conversationService.getConversation(conversation_id);
+      if (!conversation) {
+        return res.status(404).json({
+          error: 'Conversation not found',
+          detail: `No conversation with ID ${conversation_id}`,
+          message: `No conversation with ID ${conversation_id}`,
+        });
+      }
+
+      if (conversation.walletAddress && !sameAddress(conversation.walletAddress, walletAddress)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          detail: 'This conversation belongs to another wallet',
+          message: 'This conversation belongs to another wallet',
+        });
+      }
+
+      if (walletAddress && !conversation.walletAddress) {
+        await conversationService.claimConversation(conversation.id, walletAddress);
+      }
+    } else {
+      conversation = await conversationService.createConversation(walletAddress, question);
+    }
+
+    console.log(`Query: "${question}" for wallet: ${walletAddress || 'anonymous'}, scope: ${scope}, conversation: ${conversation.id}`);
+
+    if (stream === true || req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+      return streamQuery(req, res, question, conversation, {
+        documentIds: document_ids,
+        walletAddress,
+        scope,
+        retrieval,
       });
     }
 
-    console.log(`Query: "${question}" for wallet: ${wallet_address || 'any'}`);
+    const result = await ragService.queryDocuments(question, document_ids, null, {
+      history: conversationService.getHistory(conversation.id),
+      walletAddress,
+      scope,
+      ...retrieval,
+    });
 
-    const result = await ragService.queryDocuments(question, document_ids);
+    await conversationService.addTurn(conversation.id, {
+      question,
+      condensedQuestion: result.condensedQuestion,
+      answer: result.answer,
+      sources: result.sources,
+    });
 
     res.json({
       answer: result.answer,
       sources: result.sources,
       question: result.question,
+      condensed_question: result.condensedQuestion,
+      conversation_id: conversation.id,
     });
   } catch (error) {
     console.error('Query error:', error);
@@ -353,4 +1246,228 @@ router.post('/query', async (req, res) => {
   }
 });
 
+/**
+ * Read an optional date filter given as an ISO date string or a timestamp in ms
+ * @param {string|number|undefined} value - Request value
+ * @returns {number|null|undefined} - Timestamp, null if unset, undefined if invalid
+ */
+function readDateFilter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const timestamp = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(timestamp) ? timestamp : undefined;
+}
+
+/**
+ * POST /search - Find matching passages without generating an answer
+ * Without a session token only public documents are searched.
+ * Body (JSON):
+ *   - query: Text to search for
+ *   - document_ids: Optional array of blob IDs to search
+ *   - wallet_address: Optional, only search documents owned by this wallet
+ *   - file_types: Optional array of file extensions, e.g. ["pdf", "md"]
+ *   - uploaded_after, uploaded_before: Optional upload time bounds (ISO date or ms timestamp)
+ *   - top_k: Optional number of passages to return (default SIMILARITY_TOP_K, at most 50)
+ *   - scope, mode, min_score, rerank: As for /query
+ *
+ * Each result is a source as returned by /query, plus the full chunk `text` and
+ * `highlights`, the character ranges in it that match the query.
+ */
+router.post('/search', optionalAuth, async (req, res) => {
+  try {
+    const startedAt = Date.now();
+    const {
+      query,
+      document_ids,
+      wallet_address,
+      file_types,
+      uploaded_after,
+      uploaded_before,
+      top_k,
+      scope = 'accessible',
+    } = req.body;
+
+    const badRequest = (detail) => res.status(400).json({
+      error: 'Invalid search',
+      detail,
+      message: detail,
+    });
+
+    if (!query || typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({
+        error: 'No query provided',
+        detail: 'Please provide a search query',
+        message: 'Please provide a search query',
+      });
+    }
+
+    if (!QUERY_SCOPES.includes(scope)) {
+      return badRequest(`scope must be one of: ${QUERY_SCOPES.join(', ')}`);
+    }
+
+    const { options: retrieval, error: retrievalError } = readRetrievalOptions(req.body);
+    if (retrievalError) {
+      return badRequest(retrievalError);
+    }
+
+    if (top_k !== undefined && (!Number.isInteger(top_k) || top_k < 1 || top_k > 50)) {
+      return badRequest('top_k must be an integer between 1 and 50');
+    }
+
+    if (!isDocumentIdList(document_ids)) {
+      return badRequest('document_ids must be an array of blob IDs');
+    }
+
+    if (file_types !== undefined && (!Array.isArray(file_types) || !file_types.every(type => typeof type === 'string'))) {
+      return badRequest('file_types must be an array of file extensions');
+    }
+
+    const uploadedAfter = readDateFilter(uploaded_after);
+    const uploadedBefore = readDateFilter(uploaded_before);
+    if (uploadedAfter === undefined || uploadedBefore === undefined) {
+      return badRequest('uploaded_after and uploaded_before must be dates or timestamps');
+    }
+
+    if (!ragService.isAvailable()) {
+      return res.status(503).json({
+        error: 'RAG service unavailable',
+        detail: 'The search service is not configured. Please set OPENAI_API_KEY or LLM_PROVIDER=local.',
+        message: 'The search service is not configured. Please set OPENAI_API_KEY or LLM_PROVIDER=local.',
+      });
+    }
+
+    const results = await ragService.searchDocuments(query.trim(), document_ids, top_k, {
+      walletAddress: req.walletAddress,
+      scope,
+      ...retrieval,
+      filters: {
+        owner: wallet_address || null,
+        fileTypes: (file_types || []).map(type => type.toLowerCase().replace(/^\./, '')),
+        uploadedAfter,
+        uploadedBefore,
+      },
+    });
+
+    res.json({
+      query: query.trim(),
+      results,
+      count: results.length,
+      duration_ms: Date.now() - startedAt,
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      error: 'Search failed',
+      detail: error.message,
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// Conversation Endpoints
+// ============================================
+
+/**
+ * GET /conversations - List the signed-in wallet's conversations, most recent first
+ */
+router.get('/conversations', requireAuth, (req, res) => {
+  const conversations = conversationService.listConversations(req.walletAddress);
+
+  res.json({
+    conversations: conversations.map(conversation => ({
+      conversation_id: conversation.id,
+      wallet_address: conversation.walletAddress,
+      title: conversation.title,
+      created_at: conversation.createdAt,
+      updated_at: conversation.updatedAt,
+      turn_count: conversation.turnCount,
+    })),
+    total: conversations.length,
+  });
+});
+
+/**
+ * GET /conversations/:conversationId - Get a conversation with its full history
+ * Conversations started or continued while signed in are only visible to their wallet.
+ */
+router.get('/conversations/:conversationId', optionalAuth, (req, res) => {
+  const { conversationId } = req.params;
+  const conversation = conversationService.getConversation(conversationId);
+
+  if (!conversation) {
+    return res.status(404).json({
+      error: 'Conversation not found',
+      detail: `No conversation with ID ${conversationId}`,
+      message: `No conversation with ID ${conversationId}`,
+    });
+  }
+
+  if (conversation.walletAddress && !sameAddress(conversation.walletAddress, req.walletAddress)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      detail: 'This conversation belongs to another wallet',
+      message: 'This conversation belongs to another wallet',
+    });
+  }
+
+  res.json({
+    conversation_id: conversation.id,
+    wallet_address: conversation.walletAddress,
+    title: conversation.title,
+    created_at: conversation.createdAt,
+    updated_at: conversation.updatedAt,
+    turns: conversation.turns.map(turn => ({
+      question: turn.question,
+      condensed_question: turn.condensedQuestion,
+      answer: turn.answer,
+      sources: turn.sources,
+      created_at: turn.createdAt,
+    })),
+  });
+});
+
+/**
+ * DELETE /conversations/:conversationId - Delete a conversation and its history
+ * Conversations started or continued while signed in can only be deleted by their wallet.
+ */
+router.delete('/conversations/:conversationId', optionalAuth, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const conversation = conversationService.getConversation(conversationId);
+
+    if (conversation?.walletAddress && !sameAddress(conversation.walletAddress, req.walletAddress)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        detail: 'This conversation belongs to another wallet',
+        message: 'This conversation belongs to another wallet',
+      });
+    }
+
+    const existed = await conversationService.deleteConversation(conversationId);
+
+    if (!existed) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        detail: `No conversation with ID ${conversationId}`,
+        message: `No conversation with ID ${conversationId}`,
+      });
+    }
+
+    res.json({
+      message: 'Conversation deleted',
+      conversation_id: conversationId,
+    });
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    res.status(500).json({
+      error: 'Failed to delete conversation',
+      detail: error.message,
+      message: error.message,
+    });
+  }
+});
+
 export default router;
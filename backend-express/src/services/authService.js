@@ -0,0 +1,164 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { verifyPersonalMessageSignature } from '@mysten/sui/verify';
+import config from '../config.js';
+import { normalizeAddress } from '../utils/address.js';
+
+/**
+ * Encode a buffer or string as base64url
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string}
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+class AuthService {
+  constructor() {
+    this.challengeTtlMs = config.authChallengeTtlSeconds * 1000;
+    this.maxChallenges = Math.max(1, config.authMaxChallenges);
+    this.tokenTtlMs = config.authTokenTtlSeconds * 1000;
+
+    if (config.authSecret) {
+      this.secret = config.authSecret;
+    } else {
+      // Tokens signed with a per-process secret stop working after a restart
+      this.secret = randomBytes(32).toString('hex');
+      console.warn('AUTH_SECRET not set: using a random secret, sessions will not survive restarts');
+    }
+
+    // Outstanding challenges: Map<address, {nonce, message, expiresAt}>, oldest first
+    this.challenges = new Map();
+
+    // Challenges that are never verified would otherwise pile up
+    setInterval(() => this._pruneChallenges(), Math.max(1000, this.challengeTtlMs)).unref();
+  }
+
+  /**
+   * Issue a login challenge for a wallet. The wallet signs the returned message
+   * as a personal message; only the latest challenge per wallet is valid. At
+   * most maxChallenges are kept; beyond that the oldest ones are dropped.
+   * @param {string} walletAddress - Wallet that wants to log in, a valid Sui address
+   * @returns {{nonce: string, message: string, expiresAt: number}}
+   */
+  createChallenge(walletAddress) {
+    const address = normalizeAddress(walletAddress);
+    const nonce = randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + this.challengeTtlMs;
+    const message = [
+      'Sign in to DecentraDocs with your Sui account:',
+      address,
+      '',
+      `Nonce: ${nonce}`,
+      `Expires: ${new Date(expiresAt).toISOString()}`,
+    ].join('\n');
+
+    this._pruneChallenges();
+    // Re-inserting keeps the map in creation order, so the oldest is dropped first
+    this.challenges.delete(address);
+    while (this.challenges.size >= this.maxChallenges) {
+      this.challenges.delete(this.challenges.keys().next().value);
+    }
+    this.challenges.set(address, { nonce, message, expiresAt });
+
+    return { nonce, message, expiresAt };
+  }
+
+  /**
+   * Verify a signed challenge and issue a session token
+   * @param {string} walletAddress - Wallet that signed the challenge
+   * @param {string} signature - Serialized Sui signature of the challenge message
+   * @returns {Promise<{token: string, expiresAt: number, walletAddress: string}>}
+   * @throws {Error} - When there is no valid challenge or the signature does not match
+   */
+  async verifyChallenge(walletAddress, signature) {
+    const address = normalizeAddress(walletAddress);
+    const challenge = this.challenges.get(address);
+
+    if (!challenge || challenge.expiresAt < Date.now()) {
+      this.challenges.delete(address);
+      throw new Error('No valid challenge for this wallet, please request a new one');
+    }
+
+    // Challenges are single-use, whether or not verification succeeds
+    this.challenges.delete(address);
+
+    let publicKey;
+    try {
+      publicKey = await verifyPersonalMessageSignature(
+        new TextEncoder().encode(challenge.message),
+        signature
+      );
+    } catch (error) {
+      throw new Error(`Invalid signature: ${error.message}`);
+    }
+
+    if (normalizeAddress(publicKey.toSuiAddress()) !== address) {
+      throw new Error('Invalid signature: signer does not match wallet address');
+    }
+
+    return this.issueToken(address);
+  }
+
+  /**
+   * Issue a session token for a wallet
+   * @param {string} walletAddress - Authenticated wallet
+   * @returns {{token: string, expiresAt: number, walletAddress: string}}
+   */
+  issueToken(walletAddress) {
+    const address = normalizeAddress(walletAddress);
+    const expiresAt = Date.now() + this.tokenTtlMs;
+    const payload = base64url(JSON.stringify({ sub: address, exp: expiresAt }));
+
+    return {
+      token: `${payload}.${this._sign(payload)}`,
+      expiresAt,
+      walletAddress: address,
+    };
+  }
+
+  /**
+   * Verify a session token
+   * @param {string} token - Session token
+   * @returns {string|null} - The wallet address, or null if the token is invalid or expired
+   */
+  verifyToken(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this._sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+      return exp > Date.now() ? sub : null;
+    } catch {
+      return null;
+    }
+  }
+
+  _sign(payload) {
+    return createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  _pruneChallenges() {
+    const now = Date.now();
+    for (const [address, challenge] of this.challenges) {
+      if (challenge.expiresAt < now) {
+        this.challenges.delete(address);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+const authService = new AuthService();
+export default authService;
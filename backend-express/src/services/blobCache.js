@@ -0,0 +1,347 @@
+import { createReadStream, createWriteStream, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { readFile, rename, unlink, writeFile } from 'fs/promises';
+import { Writable } from 'stream';
+import { finished } from 'stream/promises';
+import { createHash, randomUUID } from 'crypto';
+import { join, resolve } from 'path';
+import config from '../config.js';
+import { JsonFileWriter, loadJsonFile } from '../utils/jsonFile.js';
+
+// Recording a read only changes the eviction order, so the index is saved
+// at most this often for reads
+const TOUCH_SAVE_DELAY_MS = 10000;
+
+function sha256(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * On-disk LRU cache of downloaded Walrus blobs. Contents are stored once per
+ * SHA-256 hash and checked against it when read (streamed files once per
+ * startup), so a corrupted file is dropped and downloaded again instead of
+ * being served. Least recently used blobs are evicted to stay under the size cap.
+ */
+export class BlobCache {
+  /**
+   * @param {object} options - Cache options
+   * @param {string} options.directory - Directory holding the cached blobs and their index
+   * @param {number} options.maxBytes - Size cap in bytes; 0 disables the cache
+   */
+  constructor({ directory, maxBytes }) {
+    this.directory = resolve(directory);
+    this.objectsDirectory = join(this.directory, 'objects');
+    this.maxBytes = maxBytes;
+    this.enabled = maxBytes > 0;
+    this.writer = new JsonFileWriter(join(this.directory, 'index.json'));
+
+    // Map<blobId, {hash, size, lastAccessedAt}>, in least recently used order
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, evictions: 0, integrityFailures: 0 };
+    // Hashes of files checked since startup; streamed reads trust these
+    this.verified = new Set();
+    this.saveTimer = null;
+
+    if (this.enabled) {
+      this._load();
+    }
+  }
+
+  _load() {
+    mkdirSync(this.objectsDirectory, { recursive: true });
+
+    const data = loadJsonFile(this.writer.filePath, null);
+    const entries = Object.entries(data?.blobs || {})
+      .filter(([, entry]) => existsSync(this._objectPath(entry.hash)))
+      .sort(([, a], [, b]) => a.lastAccessedAt - b.lastAccessedAt);
+    this.entries = new Map(entries);
+
+    // Files written before a crash kept the index from recording them
+    const referenced = new Set([...this.entries.values()].map(entry => entry.hash));
+    for (const name of readdirSync(this.objectsDirectory)) {
+      if (!referenced.has(name)) {
+        unlinkSync(join(this.objectsDirectory, name));
+      }
+    }
+
+    if (this.entries.size > 0) {
+      console.log(`Blob cache loaded from ${this.directory}: ${this.entries.size} blobs, ${this._totalBytes()} bytes`);
+    }
+  }
+
+  _persist() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    return this.writer.write(() => ({
+      version: 1,
+      blobs: Object.fromEntries(this.entries),
+    })).catch(error => console.error('Failed to save blob cache index:', error));
+  }
+
+  _schedulePersist() {
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this._persist(), TOUCH_SAVE_DELAY_MS);
+      this.saveTimer.unref();
+    }
+  }
+
+  _objectPath(hash) {
+    return join(this.objectsDirectory, hash);
+  }
+
+  // Files are written under a temporary name so a partial file never has a
+  // valid one; leftovers are removed as unreferenced on the next start
+  _tmpPath() {
+    return join(this.objectsDirectory, `${randomUUID()}.tmp`);
+  }
+
+  // Blobs with identical content share one file, counted once
+  _totalBytes() {
+    const sizes = new Map();
+    for (const entry of this.entries.values()) {
+      sizes.set(entry.hash, entry.size);
+    }
+    return [...sizes.values()].reduce((total, size) => total + size, 0);
+  }
+
+  _touch(blobId, entry) {
+    // Re-inserting moves the entry to the most recently used end
+    this.entries.delete(blobId);
+    this.entries.set(blobId, { ...entry, lastAccessedAt: Date.now() });
+  }
+
+  async _remove(blobId) {
+    // Concurrent reads of a corrupted blob, or a read racing an eviction, may
+    // remove the same entry twice
+    const entry = this.entries.get(blobId);
+    if (!entry) {
+      return;
+    }
+    this.entries.delete(blobId);
+
+    const shared = [...this.entries.values()].some(other => other.hash === entry.hash);
+    if (!shared) {
+      this.verified.delete(entry.hash);
+      await unlink(this._objectPath(entry.hash)).catch(() => {});
+    }
+  }
+
+  async _drop(blobId) {
+    this.stats.misses++;
+    // Concurrent reads of the same corrupted blob report it once
+    if (!this.entries.has(blobId)) {
+      return;
+    }
+
+    console.warn(`Cached blob ${blobId} is missing or corrupted, dropping it`);
+    this.stats.integrityFailures++;
+    await this._remove(blobId);
+    await this._persist();
+  }
+
+  _recordHit(blobId, entry) {
+    this.stats.hits++;
+    if (this.entries.has(blobId)) {
+      this._touch(blobId, entry);
+      this._schedulePersist();
+    }
+  }
+
+  // Hash a cached file without holding it in memory
+  async _verifyFile(entry) {
+    if (this.verified.has(entry.hash)) {
+      return true;
+    }
+
+    try {
+      const hash = createHash('sha256');
+      let size = 0;
+      for await (const chunk of createReadStream(this._objectPath(entry.hash))) {
+        hash.update(chunk);
+        size += chunk.length;
+      }
+      if (size !== entry.size || hash.digest('hex') !== entry.hash) {
+        return false;
+      }
+    } catch {
+      return false;
+    }
+
+    this.verified.add(entry.hash);
+    return true;
+  }
+
+  /**
+   * Get a cached blob
+   * @param {string} blobId - Walrus blob ID
+   * @returns {Promise<Buffer|null>} - The content, or null when it is not cached or failed verification
+   */
+  async get(blobId) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const entry = this.entries.get(blobId);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const content = await readFile(this._objectPath(entry.hash)).catch(() => null);
+    if (!content || content.length !== entry.size || sha256(content) !== entry.hash) {
+      this.verified.delete(entry.hash);
+      await this._drop(blobId);
+      return null;
+    }
+
+    this.verified.add(entry.hash);
+    this._recordHit(blobId, entry);
+    return content;
+  }
+
+  /**
+   * Get the file of a cached blob, for streaming it (e.g. byte ranges) without
+   * reading it into memory. The file is verified the first time it is read
+   * after startup.
+   * @param {string} blobId - Walrus blob ID
+   * @returns {Promise<{path: string, size: number}|null>} - null when the blob is not cached or failed verification
+   */
+  async getFile(blobId) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const entry = this.entries.get(blobId);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (!(await this._verifyFile(entry))) {
+      await this._drop(blobId);
+      return null;
+    }
+
+    this._recordHit(blobId, entry);
+    return { path: this._objectPath(entry.hash), size: entry.size };
+  }
+
+  /**
+   * Cache a downloaded blob, evicting least recently used blobs to make room
+   * @param {string} blobId - Walrus blob ID
+   * @param {Buffer} content - Blob content
+   * @returns {Promise<void>}
+   */
+  async put(blobId, content) {
+    if (!this.enabled || content.length > this.maxBytes) {
+      return;
+    }
+
+    const hash = sha256(content);
+    const path = this._objectPath(hash);
+    if (!existsSync(path)) {
+      const tmpPath = this._tmpPath();
+      await writeFile(tmpPath, content);
+      await rename(tmpPath, path);
+    }
+    await this._add(blobId, hash, content.length);
+  }
+
+  /**
+   * Cache a blob while it is being downloaded, without holding it in memory.
+   * The blob is only added once the stream finishes; a stream that is
+   * destroyed, or grows past the size cap, leaves nothing behind.
+   * @param {string} blobId - Walrus blob ID
+   * @param {number|null} size - Expected size in bytes, null if unknown
+   * @returns {import('stream').Writable|null} - null when the blob will not be cached
+   */
+  createWriter(blobId, size) {
+    if (!this.enabled || size > this.maxBytes) {
+      return null;
+    }
+
+    const cache = this;
+    const hash = createHash('sha256');
+    const tmpPath = this._tmpPath();
+    const file = createWriteStream(tmpPath);
+    // Errors reach the writer through the write callbacks and finished()
+    file.on('error', () => {});
+    let written = 0;
+
+    return new Writable({
+      write(chunk, encoding, callback) {
+        written += chunk.length;
+        if (written > cache.maxBytes) {
+          return callback(new Error(`Blob ${blobId} is larger than the cache`));
+        }
+        hash.update(chunk);
+        file.write(chunk, callback);
+      },
+      final(callback) {
+        file.end();
+        finished(file)
+          .then(async () => {
+            const digest = hash.digest('hex');
+            const path = cache._objectPath(digest);
+            if (existsSync(path)) {
+              await unlink(tmpPath);
+            } else {
+              await rename(tmpPath, path);
+            }
+            await cache._add(blobId, digest, written);
+          })
+          .then(() => callback(), callback);
+      },
+      destroy(error, callback) {
+        // The file may still be opening; remove it once it is closed. After a
+        // successful finish it has been renamed and this is a no-op.
+        const removeFile = () => unlink(tmpPath).catch(() => {}).finally(() => callback(error));
+        if (file.closed) {
+          removeFile();
+        } else {
+          file.once('close', removeFile);
+          file.destroy();
+        }
+      },
+    });
+  }
+
+  // Add a blob whose file is in place, evicting least recently used blobs to make room
+  async _add(blobId, hash, size) {
+    this.verified.add(hash);
+    this._touch(blobId, { hash, size });
+
+    for (const [candidate] of this.entries) {
+      if (this._totalBytes() <= this.maxBytes) break;
+      if (candidate === blobId) continue;
+      await this._remove(candidate);
+      this.stats.evictions++;
+    }
+
+    await this._persist();
+  }
+
+  /**
+   * Describe the cache for status reporting
+   * @returns {{enabled: boolean, blobs: number, bytes: number, maxBytes: number, hits: number,
+   *   misses: number, hitRate: number|null, evictions: number, integrityFailures: number}}
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      blobs: this.entries.size,
+      bytes: this._totalBytes(),
+      maxBytes: this.maxBytes,
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : null,
+    };
+  }
+}
+
+// Export singleton instance
+const blobCache = new BlobCache({
+  directory: config.blobCacheDir,
+  maxBytes: config.blobCacheMaxBytes,
+});
+export default blobCache;
@@ -0,0 +1,165 @@
+import { resolve } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config.js';
+import { JsonFileWriter, loadJsonFile } from '../utils/jsonFile.js';
+import { sameAddress } from '../utils/address.js';
+
+class ConversationService {
+  constructor() {
+    this.filePath = resolve(config.conversationStorePath);
+    this.writer = new JsonFileWriter(this.filePath);
+
+    // Map<conversationId, {id, walletAddress, title, createdAt, updatedAt, turns}>
+    this.conversations = new Map();
+
+    this._load();
+  }
+
+  _load() {
+    const data = loadJsonFile(this.filePath, null);
+    if (data) {
+      this.conversations = new Map(Object.entries(data.conversations || {}));
+      console.log(`Conversations loaded from ${this.filePath}: ${this.conversations.size}`);
+    }
+  }
+
+  _persist() {
+    return this.writer.write(() => ({
+      version: 1,
+      conversations: Object.fromEntries(this.conversations),
+    }));
+  }
+
+  /**
+   * Start a new conversation
+   * @param {string|null} walletAddress - Wallet that owns the conversation
+   * @param {string} firstQuestion - Used as the conversation title
+   * @returns {Promise<object>} - The new conversation
+   */
+  async createConversation(walletAddress, firstQuestion) {
+    const now = Date.now();
+    const conversation = {
+      id: uuidv4(),
+      walletAddress: walletAddress || null,
+      title: firstQuestion.length > 80 ? `${firstQuestion.slice(0, 77)}...` : firstQuestion,
+      createdAt: now,
+      updatedAt: now,
+      turns: [],
+    };
+
+    this.conversations.set(conversation.id, conversation);
+    await this._persist();
+
+    return conversation;
+  }
+
+  /**
+   * Get a conversation with its full history
+   * @param {string} conversationId - Conversation ID
+   * @returns {object|undefined}
+   */
+  getConversation(conversationId) {
+    return this.conversations.get(conversationId);
+  }
+
+  /**
+   * Bind an anonymous conversation to the wallet that continues it, so
+   * answers drawn from that wallet's private documents are not stored where
+   * anyone holding the conversation ID can read them
+   * @param {string} conversationId - Conversation ID
+   * @param {string} walletAddress - Signed-in wallet
+   * @returns {Promise<object>} - The conversation
+   */
+  async claimConversation(conversationId, walletAddress) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${conversationId}`);
+    }
+
+    if (!conversation.walletAddress) {
+      conversation.walletAddress = walletAddress;
+      await this._persist();
+    }
+    return conversation;
+  }
+
+  /**
+   * Get the most recent turns of a conversation, oldest first
+   * @param {string} conversationId - Conversation ID
+   * @param {number} maxTurns - Maximum number of turns to return
+   * @returns {Array<{question: string, answer: string}>}
+   */
+  getHistory(conversationId, maxTurns = config.conversationHistoryTurns) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) {
+      return [];
+    }
+
+    return conversation.turns
+      .slice(-maxTurns)
+      .map(turn => ({ question: turn.question, answer: turn.answer }));
+  }
+
+  /**
+   * Append a question/answer turn to a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {{question: string, condensedQuestion: string, answer: string, sources: Array}} turn
+   * @returns {Promise<object>} - The stored turn
+   */
+  async addTurn(conversationId, { question, condensedQuestion, answer, sources }) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${conversationId}`);
+    }
+
+    const stored = {
+      question,
+      condensedQuestion,
+      answer,
+      sources,
+      createdAt: Date.now(),
+    };
+
+    conversation.turns.push(stored);
+    conversation.updatedAt = stored.createdAt;
+    await this._persist();
+
+    return stored;
+  }
+
+  /**
+   * List conversations, most recently updated first
+   * @param {string|null} walletAddress - Only list conversations of this wallet
+   * @returns {Array<{id: string, title: string, createdAt: number, updatedAt: number, turnCount: number}>}
+   */
+  listConversations(walletAddress = null) {
+    return [...this.conversations.values()]
+      .filter(conversation => !walletAddress || sameAddress(conversation.walletAddress, walletAddress))
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(conversation => ({
+        id: conversation.id,
+        walletAddress: conversation.walletAddress,
+        title: conversation.title,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+        turnCount: conversation.turns.length,
+      }));
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<boolean>} - Whether the conversation existed
+   */
+  async deleteConversation(conversationId) {
+    const existed = this.conversations.delete(conversationId);
+    if (existed) {
+      await this._persist();
+    }
+    return existed;
+  }
+}
+
+// Export singleton instance
+const conversationService = new ConversationService();
+export default conversationService;
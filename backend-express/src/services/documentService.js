@@ -0,0 +1,253 @@
+import { resolve } from 'path';
+import config from '../config.js';
+import { JsonFileWriter, loadJsonFile } from '../utils/jsonFile.js';
+import ragService from './ragService.js';
+import { normalizeAddress, sameAddress } from '../utils/address.js';
+
+/**
+ * Catalog of uploaded documents, linking each Walrus blob to the Sui
+ * DocumentAsset minted for it. Records are created by /upload-document and
+ * completed once the mint transaction is reported to /complete-upload.
+ */
+class DocumentService {
+  constructor() {
+    this.filePath = resolve(config.documentStorePath);
+    this.writer = new JsonFileWriter(this.filePath);
+
+    // Map<blobId, record>, see createRecord() for the record shape
+    this.records = new Map();
+
+    this._load();
+  }
+
+  _load() {
+    const data = loadJsonFile(this.filePath, null);
+    if (data) {
+      this.records = new Map(Object.entries(data.documents || {}));
+      console.log(`Document catalog loaded from ${this.filePath}: ${this.records.size}`);
+    }
+  }
+
+  _persist() {
+    return this.writer.write(() => ({
+      version: 1,
+      documents: Object.fromEntries(this.records),
+    }));
+  }
+
+  /**
+   * Record an uploaded blob that has not been minted yet
+   * @param {object} upload - Upload details
+   * @param {string} upload.blobId - Walrus blob ID
+   * @param {string} upload.walletAddress - Uploading wallet
+   * @param {string} upload.filename - Original filename
+   * @param {number} upload.size - Stored blob size in bytes
+   * @param {boolean} upload.isPublic - Requested visibility
+   * @param {boolean} upload.encrypted - Whether the blob was encrypted in the browser
+   * @param {{status: string, chunks: number, error: string|null}} upload.rag - Indexing outcome
+   * @returns {Promise<object>} - The stored record
+   */
+  async createRecord({ blobId, walletAddress, filename, size, isPublic, encrypted, rag }) {
+    const record = {
+      blobId,
+      documentId: null,
+      transactionDigest: null,
+      walletAddress: normalizeAddress(walletAddress),
+      filename,
+      size,
+      isPublic,
+      encrypted,
+      status: 'pending',
+      ragStatus: rag.status,
+      ragChunks: rag.chunks,
+      ragError: rag.error,
+      uploadedAt: Date.now(),
+      mintedAt: null,
+    };
+
+    this.records.set(blobId, record);
+    await this._persist();
+
+    return record;
+  }
+
+  /**
+   * Link an uploaded blob to the DocumentAsset minted for it
+   * @param {string} blobId - Walrus blob ID
+   * @param {{documentId: string|null, transactionDigest: string, uploadedAt?: number}} mint - Mint details
+   * @returns {Promise<object>} - The updated record
+   */
+  async completeRecord(blobId, { documentId, transactionDigest, uploadedAt }) {
+    const record = this.records.get(blobId);
+    if (!record) {
+      throw new Error(`No upload recorded for blob: ${blobId}`);
+    }
+
+    record.documentId = normalizeAddress(documentId);
+    record.transactionDigest = transactionDigest;
+    record.status = 'minted';
+    record.mintedAt = Date.now();
+    if (uploadedAt) {
+      record.uploadedAt = uploadedAt;
+    }
+
+    await this._persist();
+    return record;
+  }
+
+  /**
+   * Update the RAG indexing status of a document, if it is in the catalog
+   * @param {string} blobId - Walrus blob ID
+   * @param {{status: string, chunks?: number, error?: string|null}} rag - Indexing outcome
+   * @returns {Promise<void>}
+   */
+  async updateRagStatus(blobId, { status, chunks = 0, error = null }) {
+    const record = this.records.get(blobId);
+    if (!record) {
+      return;
+    }
+
+    record.ragStatus = status;
+    record.ragChunks = chunks;
+    record.ragError = error;
+    await this._persist();
+  }
+
+  /**
+   * Record a DocumentMinted event. Completes the matching upload record, or
+   * catalogs documents minted without going through this backend.
+   * @param {object} mint - Event data
+   * @param {string} mint.documentId - DocumentAsset object ID
+   * @param {string} mint.blobId - Walrus blob ID
+   * @param {string} mint.owner - Minting wallet
+   * @param {string} mint.name - Document name
+   * @param {boolean} mint.isPublic - Visibility at mint time
+   * @param {number} mint.uploadedAt - Mint timestamp (ms)
+   * @param {string} mint.transactionDigest - Mint transaction digest
+   * @returns {Promise<object|null>} - The stored record, null if the blob belongs to another wallet
+   */
+  async applyMint({ documentId, blobId, owner, name, isPublic, uploadedAt, transactionDigest }) {
+    const existing = this.records.get(blobId);
+
+    // Anyone can mint a document pointing at a known blob ID; that must not
+    // take the catalog entry (and its index) away from the uploader. Blobs
+    // indexed before the catalog existed are owned by their indexed wallet.
+    const uploader = existing
+      ? existing.walletAddress
+      : ragService.getDocumentAccess(blobId)?.walletAddress;
+    if (uploader && !sameAddress(uploader, owner)) {
+      return null;
+    }
+
+    const record = existing || {
+      blobId,
+      filename: name,
+      size: null,
+      encrypted: null,
+      ragStatus: 'not_indexed',
+      ragChunks: 0,
+      ragError: null,
+    };
+
+    Object.assign(record, {
+      documentId: normalizeAddress(documentId),
+      transactionDigest,
+      walletAddress: normalizeAddress(owner),
+      isPublic,
+      status: 'minted',
+      uploadedAt,
+      mintedAt: record.mintedAt || uploadedAt,
+    });
+
+    this.records.set(blobId, record);
+    await this._persist();
+
+    return record;
+  }
+
+  /**
+   * Apply on-chain changes (owner, visibility) to a minted document
+   * @param {string} documentId - DocumentAsset object ID
+   * @param {{walletAddress?: string, isPublic?: boolean}} changes - Fields to update
+   * @returns {Promise<object|null>} - The updated record, null if the document is not cataloged
+   */
+  async updateDocument(documentId, changes) {
+    const record = this.getByDocumentId(documentId);
+    if (!record) {
+      return null;
+    }
+
+    if (changes.walletAddress !== undefined) {
+      record.walletAddress = normalizeAddress(changes.walletAddress);
+    }
+    if (changes.isPublic !== undefined) {
+      record.isPublic = changes.isPublic;
+    }
+
+    await this._persist();
+    return record;
+  }
+
+  /**
+   * Get a record by blob ID
+   * @param {string} blobId - Walrus blob ID
+   * @returns {object|undefined}
+   */
+  getByBlobId(blobId) {
+    return this.records.get(blobId);
+  }
+
+  /**
+   * Get a record by its Sui DocumentAsset object ID
+   * @param {string} documentId - DocumentAsset object ID
+   * @returns {object|undefined}
+   */
+  getByDocumentId(documentId) {
+    const id = normalizeAddress(documentId);
+    return [...this.records.values()].find(record => record.documentId === id);
+  }
+
+  /**
+   * List the documents whose indexing is in one of the given states
+   * @param {string[]} statuses - RAG statuses, e.g. ['queued', 'indexing']
+   * @returns {Array<object>}
+   */
+  listByRagStatus(statuses) {
+    return [...this.records.values()].filter(record => statuses.includes(record.ragStatus));
+  }
+
+  /**
+   * List a wallet's documents, most recent first
+   * @param {string} walletAddress - Owning wallet
+   * @param {{includePrivate: boolean}} options - Whether to include private documents
+   * @returns {Array<object>}
+   */
+  listByWallet(walletAddress, { includePrivate }) {
+    return [...this.records.values()]
+      .filter(record => sameAddress(record.walletAddress, walletAddress))
+      .filter(record => includePrivate || record.isPublic)
+      .sort((a, b) => b.uploadedAt - a.uploadedAt);
+  }
+}
+
+/**
+ * Map a RAG processing result to the status stored in the catalog
+ * @param {object|null} ragResult - Result of ragService.processDocument, null if not processed
+ * @param {string} skippedStatus - Status to use when the document was not processed
+ * @returns {{status: string, chunks: number, error: string|null}}
+ */
+export function ragStatusFromResult(ragResult, skippedStatus) {
+  if (!ragResult) {
+    return { status: skippedStatus, chunks: 0, error: null };
+  }
+
+  return {
+    status: ragResult.success ? 'indexed' : 'failed',
+    chunks: ragResult.chunksCreated || 0,
+    error: ragResult.error || null,
+  };
+}
+
+// Export singleton instance
+const documentService = new DocumentService();
+export default documentService;
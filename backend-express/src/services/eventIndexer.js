@@ -0,0 +1,213 @@
+import { resolve } from 'path';
+import config from '../config.js';
+import suiService from './suiService.js';
+import documentService from './documentService.js';
+import ragService from './ragService.js';
+import { JsonFileWriter, loadJsonFile } from '../utils/jsonFile.js';
+import { normalizeAddress, sameAddress } from '../utils/address.js';
+
+/**
+ * Polls the Sui RPC node for registry events and keeps the document catalog
+ * and RAG metadata in line with the chain. The event cursor is persisted, so
+ * a restart resumes where the previous run stopped.
+ */
+export class EventIndexer {
+  /**
+   * @param {object} options - Indexer options
+   * @param {object} options.sui - Event source, see SuiService
+   * @param {object} options.documents - Document catalog, see DocumentService
+   * @param {object} options.rag - RAG service whose metadata follows the chain
+   * @param {string} options.statePath - JSON file holding the cursor
+   * @param {number} options.pollIntervalMs - Delay between polls
+   * @param {number} options.pageSize - Events requested per RPC call
+   */
+  constructor({ sui, documents, rag, statePath, pollIntervalMs, pageSize }) {
+    this.sui = sui;
+    this.documents = documents;
+    this.rag = rag;
+    this.statePath = resolve(statePath);
+    this.writer = new JsonFileWriter(this.statePath);
+    this.pollIntervalMs = pollIntervalMs;
+    this.pageSize = pageSize;
+
+    const state = loadJsonFile(this.statePath, {});
+    this.cursor = state.cursor || null;
+    this.eventsProcessed = state.eventsProcessed || 0;
+
+    this.timer = null;
+    this.running = false;
+    this.lastPollAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start polling. Does nothing when no registry package is configured.
+   */
+  start() {
+    if (!config.suiPackageId || this.pollIntervalMs <= 0) {
+      console.log('Event indexer disabled (set SUI_PACKAGE_ID and SUI_INDEXER_POLL_INTERVAL_MS to enable)');
+      return;
+    }
+
+    this.running = true;
+    console.log(`Event indexer polling ${this.sui.rpcUrl} every ${this.pollIntervalMs}ms`);
+    this._schedule(0);
+  }
+
+  /**
+   * Stop polling after the current poll finishes
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _schedule(delay) {
+    this.timer = setTimeout(async () => {
+      await this.poll();
+      if (this.running) {
+        this._schedule(this.pollIntervalMs);
+      }
+    }, delay);
+  }
+
+  /**
+   * Process every event emitted since the stored cursor
+   * @returns {Promise<number>} - Number of events processed
+   */
+  async poll() {
+    let processed = 0;
+
+    try {
+      let hasNextPage = true;
+      while (hasNextPage) {
+        const page = await this.sui.queryRegistryEvents(this.cursor, this.pageSize);
+
+        for (const event of page.data) {
+          await this.handleEvent(event);
+          processed++;
+        }
+
+        // An empty page has no cursor; keep the current one
+        if (page.nextCursor) {
+          this.cursor = page.nextCursor;
+        }
+        this.eventsProcessed += page.data.length;
+        await this._saveState();
+
+        hasNextPage = page.hasNextPage && page.data.length > 0;
+      }
+
+      this.lastError = null;
+    } catch (error) {
+      console.error('Event indexer poll failed:', error.message);
+      this.lastError = error.message;
+    } finally {
+      this.lastPollAt = Date.now();
+    }
+
+    if (processed > 0) {
+      console.log(`Event indexer processed ${processed} event(s)`);
+    }
+    return processed;
+  }
+
+  /**
+   * Apply a single registry event to the catalog and the RAG index
+   * @param {{type: string, sender: string, parsedJson: object, id: {txDigest: string}}} event - Sui event
+   * @returns {Promise<{documentId: string, blobId: string, walletAddress: string, isPublic: boolean}|null>}
+   *   The resulting document state, null if the event did not apply to a known document
+   */
+  async handleEvent(event) {
+    if (this.sui.isRegistryEvent(event, 'DocumentMinted')) {
+      const mint = this.sui.parseMintedEvent(event);
+      const record = await this.documents.applyMint({ ...mint, transactionDigest: event.id.txDigest });
+      if (!record) {
+        console.warn(`Ignoring mint of blob ${mint.blobId} by ${mint.owner}: blob belongs to another wallet`);
+        return null;
+      }
+      return this._describe(record);
+    }
+
+    if (this.sui.isRegistryEvent(event, 'VisibilityChanged')) {
+      const { document_id, is_public } = event.parsedJson;
+      return this._updateDocument(document_id, event.sender, { isPublic: is_public });
+    }
+
+    if (this.sui.isRegistryEvent(event, 'DocumentTransferred')) {
+      const { document_id, to } = event.parsedJson;
+      return this._updateDocument(document_id, event.sender, { walletAddress: to });
+    }
+
+    return null;
+  }
+
+  async _updateDocument(documentId, sender, changes) {
+    const record = await this.documents.updateDocument(documentId, changes);
+    if (record) {
+      // Keep query/download access checks in line with the on-chain state
+      await this.rag.updateDocumentMetadata(record.blobId, {
+        walletAddress: record.walletAddress,
+        isPublic: record.isPublic,
+      });
+      return this._describe(record);
+    }
+
+    // Documents indexed before the catalog existed: find the blob through the
+    // object, and only trust the event if it was sent by the indexed owner
+    const blobId = await this.sui.getDocumentBlobId(documentId);
+    const access = blobId ? this.rag.getDocumentAccess(blobId) : null;
+    if (!access || !sameAddress(access.walletAddress, sender)) {
+      return null;
+    }
+
+    const metadata = { ...access, ...changes };
+    await this.rag.updateDocumentMetadata(blobId, metadata);
+    return { documentId: normalizeAddress(documentId), blobId, ...metadata };
+  }
+
+  _describe(record) {
+    return {
+      documentId: record.documentId,
+      blobId: record.blobId,
+      walletAddress: record.walletAddress,
+      isPublic: record.isPublic,
+    };
+  }
+
+  _saveState() {
+    return this.writer.write(() => ({
+      version: 1,
+      cursor: this.cursor,
+      eventsProcessed: this.eventsProcessed,
+      savedAt: Date.now(),
+    }));
+  }
+
+  /**
+   * Describe the indexer for status reporting
+   * @returns {{enabled: boolean, rpcUrl: string, cursor: object|null, eventsProcessed: number, lastPollAt: number|null, lastError: string|null}}
+   */
+  getStatus() {
+    return {
+      enabled: this.running,
+      rpcUrl: this.sui.rpcUrl,
+      cursor: this.cursor,
+      eventsProcessed: this.eventsProcessed,
+      lastPollAt: this.lastPollAt,
+      lastError: this.lastError,
+    };
+  }
+}
+
+// Export singleton instance
+const eventIndexer = new EventIndexer({
+  sui: suiService,
+  documents: documentService,
+  rag: ragService,
+  statePath: config.suiIndexerStatePath,
+  pollIntervalMs: config.suiIndexerPollIntervalMs,
+  pageSize: config.suiIndexerPageSize,
+});
+export default eventIndexer;
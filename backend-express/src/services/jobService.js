@@ -0,0 +1,215 @@
+import { randomUUID } from 'crypto';
+import { readFile, unlink } from 'fs/promises';
+import config from '../config.js';
+import ragService from './ragService.js';
+import documentService, { ragStatusFromResult } from './documentService.js';
+
+// Stages after which a job no longer changes
+const FINAL_STAGES = ['indexed', 'skipped', 'failed'];
+
+/**
+ * Background queue that indexes uploaded documents for RAG, so uploads return
+ * as soon as the blob is stored. Jobs live in memory; the catalog records the
+ * outcome, and documents still queued when the server stops are marked failed
+ * on the next start.
+ */
+export class JobService {
+  /**
+   * @param {object} options - Queue options
+   * @param {object} options.rag - RAG service that indexes documents
+   * @param {object} options.documents - Document catalog, see DocumentService
+   * @param {number} options.concurrency - Jobs processed at the same time
+   * @param {number} options.maxAttempts - Attempts per job when indexing fails with a retryable error
+   * @param {number} options.retryDelayMs - Delay before the first retry, doubled for each further retry
+   * @param {number} options.retentionMs - How long finished jobs are kept
+   */
+  constructor({ rag, documents, concurrency, maxAttempts, retryDelayMs, retentionMs }) {
+    this.rag = rag;
+    this.documents = documents;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.retryDelayMs = retryDelayMs;
+    this.retentionMs = retentionMs;
+
+    // Map<jobId, job>, see enqueueIngestion() for the job shape
+    this.jobs = new Map();
+    this.queue = [];
+    this.active = 0;
+
+    this._failInterrupted();
+  }
+
+  _failInterrupted() {
+    for (const record of this.documents.listByRagStatus(['queued', 'indexing'])) {
+      this.documents.updateRagStatus(record.blobId, {
+        status: 'failed',
+        error: 'Indexing was interrupted by a server restart; reindex the document',
+      }).catch(error => console.error(`Failed to update blob ${record.blobId}:`, error));
+    }
+  }
+
+  /**
+   * Queue a stored document for indexing
+   * @param {object} task - What to index
+   * @param {string} task.blobId - Walrus blob ID
+   * @param {string} task.walletAddress - Owning wallet
+   * @param {string} task.filename - Original filename
+   * @param {string|null} task.filePath - Temporary file with the content to index, removed when the
+   *   job finishes; null when the document is not indexed
+   * @param {object} task.metadata - Metadata stored with the chunks
+   * @param {string} [task.skipReason] - Why the document is not indexed ('skipped', 'unavailable')
+   * @param {string} [task.error] - Error that prevents indexing (the job fails right away)
+   * @returns {object} - The job
+   */
+  enqueueIngestion({ blobId, walletAddress, filename, filePath, metadata, skipReason, error }) {
+    const now = Date.now();
+    const job = {
+      id: randomUUID(),
+      type: 'ingestion',
+      blobId,
+      walletAddress,
+      filename,
+      filePath,
+      metadata,
+      stage: 'queued',
+      chunksEmbedded: 0,
+      totalChunks: null,
+      attempts: 0,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    };
+    this.jobs.set(job.id, job);
+
+    if (error) {
+      this._finish(job, 'failed', { status: 'failed', error });
+    } else if (skipReason || !filePath) {
+      this._finish(job, 'skipped', { status: skipReason || 'skipped' });
+    } else {
+      this.queue.push(job);
+      this._next();
+    }
+
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {object|undefined}
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId);
+  }
+
+  _next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.active++;
+      this._run(job)
+        .catch(error => {
+          console.error(`Ingestion job ${job.id} crashed:`, error);
+          this._finish(job, 'failed', { status: 'failed', error: error.message });
+        })
+        .finally(() => {
+          this.active--;
+          this._next();
+        });
+    }
+  }
+
+  async _run(job) {
+    job.attempts++;
+    this._update(job, { stage: 'extracting', error: null });
+    await this.documents.updateRagStatus(job.blobId, { status: 'indexing' });
+
+    const content = await readFile(job.filePath);
+    const result = await this.rag.processDocument(job.blobId, content, job.filename, job.metadata, {
+      onProgress: ({ stage, chunksEmbedded, totalChunks }) => {
+        this._update(job, {
+          stage,
+          chunksEmbedded: chunksEmbedded ?? job.chunksEmbedded,
+          totalChunks: totalChunks ?? job.totalChunks,
+        });
+      },
+    });
+
+    if (result.success) {
+      console.log(`Ingestion job ${job.id}: ${result.chunksCreated} chunks indexed for blob ${job.blobId}`);
+      this._finish(job, 'indexed', ragStatusFromResult(result));
+      return;
+    }
+
+    if (result.retryable && job.attempts < this.maxAttempts) {
+      const delay = this.retryDelayMs * 2 ** (job.attempts - 1);
+      console.warn(
+        `Ingestion job ${job.id} failed (attempt ${job.attempts}/${this.maxAttempts}), retrying in ${delay}ms: ${result.error}`
+      );
+      this._update(job, { stage: 'retrying', error: result.error });
+      setTimeout(() => {
+        this.queue.push(job);
+        this._next();
+      }, delay);
+      return;
+    }
+
+    console.warn(`Ingestion job ${job.id} failed: ${result.error}`);
+    this._finish(job, 'failed', ragStatusFromResult(result));
+  }
+
+  _update(job, changes) {
+    Object.assign(job, changes, { updatedAt: Date.now() });
+  }
+
+  _finish(job, stage, ragStatus) {
+    this._update(job, {
+      stage,
+      error: ragStatus.error || null,
+      finishedAt: Date.now(),
+    });
+
+    this.documents.updateRagStatus(job.blobId, ragStatus)
+      .catch(error => console.error(`Failed to record indexing result for blob ${job.blobId}:`, error));
+
+    if (job.filePath) {
+      unlink(job.filePath).catch(() => {});
+      job.filePath = null;
+    }
+
+    // Forget the job once clients have had time to see the outcome
+    setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+  }
+
+  /**
+   * Check whether a job has finished
+   * @param {{stage: string}} job - Job
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return FINAL_STAGES.includes(job.stage);
+  }
+
+  /**
+   * Describe the queue for status reporting
+   * @returns {{active: number, queued: number, tracked: number}}
+   */
+  getStatus() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      tracked: this.jobs.size,
+    };
+  }
+}
+
+// Export singleton instance
+const jobService = new JobService({
+  rag: ragService,
+  documents: documentService,
+  concurrency: config.ingestionConcurrency,
+  maxAttempts: config.ingestionMaxAttempts,
+  retryDelayMs: config.ingestionRetryDelayMs,
+  retentionMs: config.jobRetentionMs,
+});
+export default jobService;
@@ -0,0 +1,208 @@
+import { tokenize } from './llmProviders.js';
+
+// Words joined by '-', '_', '.', '/' or ':' (invoice numbers, object IDs,
+// file names, versions) are also indexed whole, so exact identifiers match
+// even though their parts are common
+const COMPOUND_PATTERN = /[\p{L}\p{N}]+(?:[-_./:][\p{L}\p{N}]+)+/gu;
+
+/**
+ * Split text into the terms stored in the keyword index
+ * @param {string} text - Text to tokenize
+ * @returns {string[]}
+ */
+export function keywordTerms(text) {
+  const compounds = text.toLowerCase().match(COMPOUND_PATTERN) || [];
+  return [...tokenize(text), ...compounds];
+}
+
+/**
+ * Find where the query's terms occur in a text, for highlighting
+ * @param {string} text - Text to search
+ * @param {string} query - Search query
+ * @returns {Array<{start: number, end: number}>} - Sorted, non-overlapping character ranges
+ */
+export function findMatches(text, query) {
+  const terms = new Set(keywordTerms(query));
+  if (terms.size === 0) {
+    return [];
+  }
+
+  const ranges = [];
+  for (const pattern of [/[\p{L}\p{N}_]+/gu, COMPOUND_PATTERN]) {
+    for (const match of text.matchAll(pattern)) {
+      if (terms.has(match[0].toLowerCase())) {
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+
+  // Identifier matches contain their parts' matches; merge them
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+/**
+ * In-memory BM25 index over document chunks. It holds no chunk text, only
+ * term statistics, and is rebuilt from the vector store on startup.
+ */
+export class KeywordIndex {
+  /**
+   * @param {{k1: number, b: number}} options - BM25 term-frequency saturation and length normalization
+   */
+  constructor({ k1, b }) {
+    this.k1 = k1;
+    this.b = b;
+
+    // Map<blobId, Array<{chunkIndex, length, terms: Map<term, frequency>}>>
+    this.documents = new Map();
+    // Map<term, Map<blobId, number>> - chunks of each document containing the term
+    this.postings = new Map();
+    this.chunkCount = 0;
+    this.totalLength = 0;
+  }
+
+  /**
+   * Index the chunks of a document, replacing any previous version
+   * @param {string} blobId - Walrus blob ID
+   * @param {Array<{chunkIndex: number, text: string}>} chunks - Document chunks
+   */
+  setDocument(blobId, chunks) {
+    this.deleteDocument(blobId);
+
+    const entries = chunks.map(chunk => {
+      const terms = new Map();
+      const tokens = keywordTerms(chunk.text);
+      for (const term of tokens) {
+        terms.set(term, (terms.get(term) || 0) + 1);
+      }
+      return { chunkIndex: chunk.chunkIndex, length: tokens.length, terms };
+    });
+
+    for (const entry of entries) {
+      for (const term of entry.terms.keys()) {
+        let documents = this.postings.get(term);
+        if (!documents) {
+          documents = new Map();
+          this.postings.set(term, documents);
+        }
+        documents.set(blobId, (documents.get(blobId) || 0) + 1);
+      }
+      this.chunkCount++;
+      this.totalLength += entry.length;
+    }
+
+    this.documents.set(blobId, entries);
+  }
+
+  /**
+   * Remove a document from the index
+   * @param {string} blobId - Walrus blob ID
+   */
+  deleteDocument(blobId) {
+    const entries = this.documents.get(blobId);
+    if (!entries) {
+      return;
+    }
+
+    for (const entry of entries) {
+      for (const term of entry.terms.keys()) {
+        const documents = this.postings.get(term);
+        const remaining = documents.get(blobId) - 1;
+        if (remaining > 0) {
+          documents.set(blobId, remaining);
+        } else {
+          documents.delete(blobId);
+          if (documents.size === 0) {
+            this.postings.delete(term);
+          }
+        }
+      }
+      this.chunkCount--;
+      this.totalLength -= entry.length;
+    }
+
+    this.documents.delete(blobId);
+  }
+
+  /**
+   * Score the chunks of the given documents against a query. Term rarity is
+   * measured over the whole index, not only the searched documents.
+   * @param {string} query - Search query
+   * @param {Set<string>} blobIds - Documents to search
+   * @returns {Map<string, Map<number, number>>} - blobId -> chunkIndex -> BM25 score, matching chunks only
+   */
+  search(query, blobIds) {
+    const scores = new Map();
+    const queryTerms = [...new Set(keywordTerms(query))];
+    if (queryTerms.length === 0 || this.chunkCount === 0) {
+      return scores;
+    }
+
+    const averageLength = this.totalLength / this.chunkCount || 1;
+    const weights = new Map();
+    for (const term of queryTerms) {
+      const documents = this.postings.get(term);
+      if (!documents) continue;
+
+      let frequency = 0;
+      for (const count of documents.values()) {
+        frequency += count;
+      }
+      weights.set(term, Math.log(1 + (this.chunkCount - frequency + 0.5) / (frequency + 0.5)));
+    }
+
+    if (weights.size === 0) {
+      return scores;
+    }
+
+    for (const blobId of blobIds) {
+      const entries = this.documents.get(blobId);
+      if (!entries) continue;
+
+      // Skip documents that share no term with the query
+      if (![...weights.keys()].some(term => this.postings.get(term).has(blobId))) continue;
+
+      for (const entry of entries) {
+        let score = 0;
+        for (const [term, weight] of weights) {
+          const tf = entry.terms.get(term);
+          if (!tf) continue;
+
+          const norm = this.k1 * (1 - this.b + this.b * (entry.length / averageLength));
+          score += weight * (tf * (this.k1 + 1)) / (tf + norm);
+        }
+
+        if (score > 0) {
+          if (!scores.has(blobId)) {
+            scores.set(blobId, new Map());
+          }
+          scores.get(blobId).set(entry.chunkIndex, score);
+        }
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Describe the index for status reporting
+   * @returns {{documents: number, chunks: number, terms: number}}
+   */
+  describe() {
+    return {
+      documents: this.documents.size,
+      chunks: this.chunkCount,
+      terms: this.postings.size,
+    };
+  }
+}
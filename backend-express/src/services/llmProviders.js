@@ -0,0 +1,336 @@
+import OpenAI from 'openai';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for', 'from',
+  'how', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'what', 'when', 'where', 'which', 'who', 'why', 'with',
+]);
+
+/**
+ * Split text into lowercase word tokens, dropping stop words
+ * @param {string} text - Text to tokenize
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} value - String to hash
+ * @returns {number}
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Provider backed by the OpenAI API or any OpenAI-compatible endpoint
+ */
+export class OpenAIProvider {
+  /**
+   * @param {{apiKey: string, baseUrl: string, embeddingModel: string, chatModel: string}} options
+   */
+  constructor({ apiKey, baseUrl, embeddingModel, chatModel }) {
+    this.name = 'openai';
+    this.embeddingModel = embeddingModel;
+    this.chatModel = chatModel;
+    this.client = new OpenAI({
+      // Self-hosted compatible servers often ignore the key, but the SDK requires one
+      apiKey: apiKey || 'not-needed',
+      baseURL: baseUrl || undefined,
+    });
+  }
+
+  /**
+   * Embed a list of texts
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} - One embedding vector per text
+   */
+  async embed(texts) {
+    const response = await this.client.embeddings.create({
+      model: this.embeddingModel,
+      input: texts,
+    }, {
+      // Rate-limit retries are handled by the RAG service per embedding batch
+      maxRetries: 0,
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  /**
+   * Generate an answer from the retrieved context
+   * @param {{messages: Array, temperature: number, maxTokens: number}} request
+   * @returns {Promise<string>}
+   */
+  async generateAnswer({ messages, temperature, maxTokens }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.chatModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+    });
+
+    return completion.choices[0].message.content;
+  }
+
+  /**
+   * Rewrite a follow-up question into a standalone question using the conversation history
+   * @param {{question: string, history: Array<{question: string, answer: string}>}} request
+   * @returns {Promise<string>}
+   */
+  async condenseQuestion({ question, history }) {
+    const transcript = history
+      .map(turn => `User: ${turn.question}\nAssistant: ${turn.answer}`)
+      .join('\n\n');
+
+    const completion = await this.client.chat.completions.create({
+      model: this.chatModel,
+      messages: [
+        {
+          role: 'system',
+          content: 'Rewrite the follow-up question as a standalone question that can be understood without the conversation. ' +
+            'Keep names, numbers and identifiers. Reply with the question only.',
+        },
+        {
+          role: 'user',
+          content: `Conversation:\n${transcript}\n\nFollow-up question: ${question}`,
+        },
+      ],
+      temperature: 0,
+      max_tokens: 200,
+    });
+
+    return completion.choices[0].message.content.trim() || question;
+  }
+
+  /**
+   * Rate how relevant each passage is to a query
+   * @param {{query: string, passages: string[]}} request
+   * @returns {Promise<number[]>} - One score (0-1) per passage
+   */
+  async rerank({ query, passages }) {
+    const listing = passages
+      .map((passage, i) => `[${i + 1}] ${passage}`)
+      .join('\n\n');
+
+    const completion = await this.client.chat.completions.create({
+      model: this.chatModel,
+      messages: [
+        {
+          role: 'system',
+          content: 'Rate how well each numbered passage answers the query, from 0 (irrelevant) to 10 (fully answers it). ' +
+            'Reply with a JSON array of numbers only, one per passage, in passage order.',
+        },
+        {
+          role: 'user',
+          content: `Query: ${query}\n\nPassages:\n${listing}`,
+        },
+      ],
+      temperature: 0,
+      max_tokens: 20 + passages.length * 5,
+    });
+
+    const scores = JSON.parse(completion.choices[0].message.content.match(/\[[^\]]*\]/)?.[0] || 'null');
+    if (!Array.isArray(scores) || scores.length !== passages.length) {
+      throw new Error('Reranker returned an unexpected number of scores');
+    }
+
+    return scores.map(score => Math.min(Math.max(Number(score) || 0, 0), 10) / 10);
+  }
+
+  /**
+   * Stream an answer token by token
+   * @param {{messages: Array, temperature: number, maxTokens: number, signal?: AbortSignal}} request
+   * @returns {AsyncGenerator<string>}
+   */
+  async *streamAnswer({ messages, temperature, maxTokens, signal }) {
+    const stream = await this.client.chat.completions.create({
+      model: this.chatModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+    }, { signal });
+
+    for await (const part of stream) {
+      const text = part.choices[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+}
+
+/**
+ * Fully local, deterministic provider. Embeddings are hashed bag-of-words
+ * vectors and answers are extracted from the best-matching source sentences,
+ * so the upload -> query flow works without network access or an API key.
+ */
+export class LocalProvider {
+  /**
+   * @param {{dimensions: number}} options
+   */
+  constructor({ dimensions }) {
+    this.name = 'local';
+    this.dimensions = dimensions;
+    this.embeddingModel = `hashed-bow-${dimensions}`;
+    this.chatModel = 'extractive';
+  }
+
+  /**
+   * Embed a list of texts as L2-normalized hashed term-frequency vectors
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>}
+   */
+  async embed(texts) {
+    return texts.map(text => this._embedOne(text));
+  }
+
+  _embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const counts = new Map();
+
+    for (const token of tokenize(text)) {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+
+    for (const [token, count] of counts) {
+      const hash = fnv1a(token);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    // An all-zero vector would make cosine similarity NaN
+    if (norm === 0) {
+      vector[0] = 1;
+      return vector;
+    }
+
+    return vector.map(value => value / norm);
+  }
+
+  /**
+   * Answer by quoting the source sentences that share the most terms with the question
+   * @param {{question: string, sources: Array<{text: string}>}} request
+   * @returns {Promise<string>}
+   */
+  async generateAnswer({ question, sources }) {
+    const questionTerms = new Set(tokenize(question));
+    const candidates = [];
+
+    sources.forEach((source, sourceIndex) => {
+      const sentences = source.text.split(/(?<=[.!?])\s+|\n+/);
+      for (const sentence of sentences) {
+        const trimmed = sentence.trim();
+        if (!trimmed) continue;
+
+        const terms = new Set(tokenize(trimmed));
+        let overlap = 0;
+        for (const term of terms) {
+          if (questionTerms.has(term)) overlap++;
+        }
+
+        if (overlap > 0) {
+          candidates.push({ text: trimmed, sourceIndex, overlap });
+        }
+      }
+    });
+
+    if (candidates.length === 0) {
+      return "The provided documents don't contain enough information to answer this question.";
+    }
+
+    // Stable sort keeps retrieval order among equally good sentences
+    candidates.sort((a, b) => b.overlap - a.overlap);
+
+    return candidates
+      .slice(0, 3)
+      .map(candidate => `${candidate.text} [Source ${candidate.sourceIndex + 1}]`)
+      .join('\n');
+  }
+
+  /**
+   * Condense a follow-up by prefixing it with the previous question, so
+   * retrieval still sees the terms the follow-up refers back to
+   * @param {{question: string, history: Array<{question: string}>}} request
+   * @returns {Promise<string>}
+   */
+  async condenseQuestion({ question, history }) {
+    const previous = history[history.length - 1];
+    return previous ? `${previous.question} ${question}` : question;
+  }
+
+  /**
+   * Rate passages by the share of query terms they contain, with a bonus
+   * for containing the query as an exact phrase
+   * @param {{query: string, passages: string[]}} request
+   * @returns {Promise<number[]>} - One score (0-1) per passage
+   */
+  async rerank({ query, passages }) {
+    const queryTerms = new Set(tokenize(query));
+    const phrase = query.toLowerCase().replace(/\s+/g, ' ').trim();
+
+    return passages.map(passage => {
+      const terms = new Set(tokenize(passage));
+      let matched = 0;
+      for (const term of queryTerms) {
+        if (terms.has(term)) matched++;
+      }
+
+      const coverage = queryTerms.size > 0 ? matched / queryTerms.size : 0;
+      const exact = phrase && passage.toLowerCase().replace(/\s+/g, ' ').includes(phrase);
+      return 0.8 * coverage + (exact ? 0.2 : 0);
+    });
+  }
+
+  /**
+   * Stream the extractive answer word by word, mirroring the remote provider's interface
+   * @param {{question: string, sources: Array<{text: string}>, signal?: AbortSignal}} request
+   * @returns {AsyncGenerator<string>}
+   */
+  async *streamAnswer(request) {
+    const answer = await this.generateAnswer(request);
+    for (const token of answer.match(/\S+\s*/g) || []) {
+      if (request.signal?.aborted) return;
+      yield token;
+    }
+  }
+}
+
+/**
+ * Create the configured embedding/chat provider
+ * @param {object} config - App configuration
+ * @returns {OpenAIProvider|LocalProvider|null} - null when the provider is not configured
+ */
+export function createProvider(config) {
+  switch (config.llmProvider) {
+    case 'openai':
+      // A custom base URL may point at a server that needs no key
+      if (!config.openaiApiKey && !config.openaiBaseUrl) {
+        return null;
+      }
+      return new OpenAIProvider({
+        apiKey: config.openaiApiKey,
+        baseUrl: config.openaiBaseUrl,
+        embeddingModel: config.embeddingModel,
+        chatModel: config.chatModel,
+      });
+
+    case 'local':
+      return new LocalProvider({
+        dimensions: config.localEmbeddingDimensions,
+      });
+
+    default:
+      throw new Error(`Unknown LLM provider: ${config.llmProvider}`);
+  }
+}
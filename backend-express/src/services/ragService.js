@@ -1,37 +1,80 @@
-import OpenAI from 'openai';
-import pdf from 'pdf-parse/lib/pdf-parse.js';
+import { createHash } from 'crypto';
 import config from '../config.js';
+import { createVectorStore } from './vectorStore.js';
+import { KeywordIndex, findMatches } from './keywordIndex.js';
+import { createProvider } from './llmProviders.js';
+import { splitText } from './textSplitter.js';
+import { sameAddress } from '../utils/address.js';
+import {
+  extractCsv,
+  extractDocx,
+  extractHtml,
+  extractJson,
+  extractOdt,
+  extractPdf,
+  extractRtf,
+  looksLikeText,
+} from './textExtractors.js';
+
+const NO_DOCUMENTS_ANSWER = "I don't have any documents to search. Please upload some documents first.";
 
 class RAGService {
   constructor() {
-    this.openai = null;
+    this.provider = null;
     this.available = false;
 
-    // In-memory vector store: Map<blobId, Array<{chunkIndex, text, embedding, metadata}>>
-    this.vectorStore = new Map();
+    // Vector store: blobId -> Array<{chunkIndex, text, embedding, metadata}>
+    this.vectorStore = createVectorStore({
+      backend: config.vectorStoreBackend,
+      path: config.vectorStorePath,
+    });
+    this.vectorStore.load();
+
+    // BM25 index over the same chunks, kept in step with every vector store write
+    this.keywordIndex = new KeywordIndex({ k1: config.bm25K1, b: config.bm25B });
+    for (const [blobId, chunks] of this.vectorStore.entries()) {
+      this.keywordIndex.setDocument(blobId, chunks);
+    }
 
     this.chunkSize = config.chunkSize;
     this.chunkOverlap = config.chunkOverlap;
     this.topK = config.similarityTopK;
     this.temperature = config.llmTemperature;
 
+    this.retrievalMode = config.retrievalMode;
+    this.hybridVectorWeight = config.hybridVectorWeight;
+    this.minScore = config.retrievalMinScore;
+    this.dedupeOverlapRatio = config.dedupeOverlapRatio;
+    this.rerankEnabled = config.rerankEnabled;
+    this.rerankCandidates = config.rerankCandidates;
+
+    this.embeddingBatchSize = config.embeddingBatchSize;
+    this.embeddingConcurrency = config.embeddingConcurrency;
+    this.embeddingMaxRetries = config.embeddingMaxRetries;
+
+    // Embeddings of batches that finished before a failed run:
+    // Map<blobId, {fingerprint, batches: Map<batchIndex, number[][]>}>
+    this.partialEmbeddings = new Map();
+
     this._initialize();
   }
 
   _initialize() {
-    if (config.openaiApiKey) {
-      try {
-        this.openai = new OpenAI({
-          apiKey: config.openaiApiKey,
-        });
-        this.available = true;
-        console.log('RAG Service initialized with OpenAI');
-      } catch (error) {
-        console.warn('Failed to initialize OpenAI:', error.message);
-        this.available = false;
-      }
+    try {
+      this.provider = createProvider(config);
+    } catch (error) {
+      console.warn('Failed to initialize LLM provider:', error.message);
+      this.provider = null;
+    }
+
+    if (this.provider) {
+      this.available = true;
+      console.log(
+        `RAG Service initialized with ${this.provider.name} provider ` +
+        `(embeddings: ${this.provider.embeddingModel}, chat: ${this.provider.chatModel})`
+      );
     } else {
-      console.warn('RAG Service: OpenAI API key not configured');
+      console.warn('RAG Service: no LLM provider configured (set OPENAI_API_KEY or LLM_PROVIDER=local)');
       this.available = false;
     }
   }
@@ -40,74 +83,153 @@ class RAGService {
    * Extract text from file content based on file type
    * @param {Buffer} content - File content
    * @param {string} filename - Original filename
-   * @returns {Promise<string>} - Extracted text
+   * @returns {Promise<{text: string, strategy: string, pages?: Array<{page: number, start: number, end: number}>}>}
+   *   Extracted text, the split strategy for it and, for PDFs, the character range of each page
+   * @throws {Error} - When the file type is unsupported or the file cannot be parsed
    */
   async extractText(content, filename) {
     const extension = filename.toLowerCase().split('.').pop();
 
     try {
       switch (extension) {
-        case 'pdf':
-          const pdfData = await pdf(content);
-          return pdfData.text;
+        case 'pdf': {
+          const { text, pages } = await extractPdf(content);
+          return { text, strategy: 'text', pages };
+        }
+
+        case 'docx':
+          return { text: extractDocx(content), strategy: 'markdown' };
+
+        case 'odt':
+          return { text: extractOdt(content), strategy: 'markdown' };
+
+        case 'rtf':
+          return { text: extractRtf(content.toString('latin1')), strategy: 'text' };
+
+        case 'html':
+        case 'htm':
+          return { text: extractHtml(this._decodeText(content, filename)), strategy: 'markdown' };
+
+        case 'csv':
+          return { text: extractCsv(this._decodeText(content, filename), ','), strategy: 'text' };
+
+        case 'tsv':
+          return { text: extractCsv(this._decodeText(content, filename), '\t'), strategy: 'text' };
+
+        case 'json': {
+          const source = this._decodeText(content, filename);
+          try {
+            return { text: extractJson(source), strategy: 'text' };
+          } catch {
+            // Not valid JSON (e.g. JSON Lines), index it as source text
+            return { text: source, strategy: 'code' };
+          }
+        }
+
+        case 'doc':
+          throw new Error('Unsupported file type: legacy .doc files cannot be indexed, please convert to .docx');
 
-        case 'txt':
         case 'md':
         case 'markdown':
+          return { text: this._decodeText(content, filename), strategy: 'markdown' };
+
         case 'py':
         case 'js':
         case 'ts':
         case 'jsx':
         case 'tsx':
-        case 'json':
         case 'yaml':
         case 'yml':
-        case 'html':
         case 'css':
         case 'xml':
-        case 'csv':
         case 'sql':
         case 'sh':
         case 'bash':
         case 'env':
         case 'gitignore':
         case 'dockerfile':
-          return content.toString('utf-8');
+          return { text: this._decodeText(content, filename), strategy: 'code' };
 
+        case 'txt':
         default:
           // Try to decode as text
-          return content.toString('utf-8');
+          return { text: this._decodeText(content, filename), strategy: 'text' };
       }
     } catch (error) {
-      console.error(`Error extracting text from ${filename}:`, error);
-      // Fallback to raw text
-      return content.toString('utf-8');
+      console.error(`Error extracting text from ${filename}:`, error.message);
+      throw error;
     }
   }
 
   /**
-   * Split text into overlapping chunks
+   * Decode file content as UTF-8, refusing binary data so it is never indexed as noise
+   * @param {Buffer} content - File content
+   * @param {string} filename - Original filename
+   * @returns {string}
+   */
+  _decodeText(content, filename) {
+    if (!looksLikeText(content)) {
+      throw new Error(`Unsupported file type: ${filename} appears to be binary`);
+    }
+    return content.toString('utf-8');
+  }
+
+  /**
+   * Split text into overlapping chunks along its structure
    * @param {string} text - Text to split
-   * @returns {string[]} - Array of text chunks
+   * @param {string} strategy - Split strategy: 'text', 'markdown' or 'code'
+   * @returns {Array<{text: string, start: number, end: number, headingPath: string[]}>} - Chunks with offsets
    */
-  splitIntoChunks(text) {
-    const chunks = [];
-    let start = 0;
+  splitIntoChunks(text, strategy = 'text') {
+    return splitText(text, {
+      chunkSize: this.chunkSize,
+      chunkOverlap: this.chunkOverlap,
+      strategy,
+    });
+  }
+
+  /**
+   * Find the pages a character range falls on
+   * @param {Array<{page: number, start: number, end: number}>|undefined} pages - Page ranges from extraction
+   * @param {number} start - Range start offset
+   * @param {number} end - Range end offset
+   * @returns {{pageStart?: number, pageEnd?: number}}
+   */
+  _pageRange(pages, start, end) {
+    if (!pages || pages.length === 0) {
+      return {};
+    }
 
-    while (start < text.length) {
-      const end = Math.min(start + this.chunkSize, text.length);
-      chunks.push(text.slice(start, end));
-      start += this.chunkSize - this.chunkOverlap;
+    const overlapping = pages.filter(page => page.start < end && page.end > start);
+    if (overlapping.length === 0) {
+      return {};
+    }
+
+    return {
+      pageStart: overlapping[0].page,
+      pageEnd: overlapping[overlapping.length - 1].page,
+    };
+  }
+
+  /**
+   * Build a human-readable citation such as "report.pdf, p. 14"
+   * @param {object} metadata - Chunk metadata
+   * @returns {string}
+   */
+  _formatCitation(metadata) {
+    const name = metadata.filename || metadata.blobId;
 
-      // Prevent infinite loop
-      if (start >= text.length) break;
+    if (metadata.pageStart === undefined) {
+      return name;
     }
 
-    return chunks;
+    return metadata.pageStart === metadata.pageEnd
+      ? `${name}, p. ${metadata.pageStart}`
+      : `${name}, pp. ${metadata.pageStart}-${metadata.pageEnd}`;
   }
 
   /**
-   * Get embeddings for text using OpenAI
+   * Get embeddings for text using the configured provider
    * @param {string} text - Text to embed
    * @returns {Promise<number[]>} - Embedding vector
    */
@@ -116,12 +238,113 @@ class RAGService {
       throw new Error('RAG Service not available');
     }
 
-    const response = await this.openai.embeddings.create({
-      model: 'text-embedding-ada-002',
-      input: text,
-    });
+    const [embedding] = await this.provider.embed([text]);
+    return embedding;
+  }
+
+  /**
+   * Embed a batch of texts, retrying with exponential backoff on rate limits
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<{embeddings: number[][], retries: number}>}
+   */
+  async embedBatchWithRetry(texts) {
+    let retries = 0;
+
+    for (;;) {
+      try {
+        const embeddings = await this.provider.embed(texts);
+        return { embeddings, retries };
+      } catch (error) {
+        if (error.status !== 429 || retries >= this.embeddingMaxRetries) {
+          throw error;
+        }
+
+        // Honour Retry-After when the API sends one, otherwise back off exponentially with jitter
+        const retryAfter = parseFloat(error.headers?.['retry-after']);
+        const delay = Number.isFinite(retryAfter)
+          ? retryAfter * 1000
+          : Math.min(30000, 500 * 2 ** retries) + Math.random() * 250;
+
+        retries++;
+        console.warn(`Embedding rate limited, retry ${retries}/${this.embeddingMaxRetries} in ${Math.round(delay)}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Embed document chunks in batches with bounded concurrency. Batches that
+   * succeed are kept when another batch fails, so processing the same document
+   * again resumes from where the failed run stopped.
+   * @param {string} blobId - Walrus blob ID
+   * @param {string[]} chunks - Chunk texts
+   * @param {function(number): void} [onProgress] - Called with the number of chunks embedded so far
+   * @returns {Promise<{embeddings: number[][], stats: {batches: number, resumedBatches: number, retries: number}}>}
+   */
+  async embedChunks(blobId, chunks, onProgress = () => {}) {
+    const fingerprint = createHash('sha256').update(JSON.stringify(chunks)).digest('hex');
+    let partial = this.partialEmbeddings.get(blobId);
+    if (!partial || partial.fingerprint !== fingerprint) {
+      partial = { fingerprint, batches: new Map() };
+      this.partialEmbeddings.set(blobId, partial);
+    }
+
+    const batchCount = Math.ceil(chunks.length / this.embeddingBatchSize);
+    const pending = [];
+    for (let i = 0; i < batchCount; i++) {
+      if (!partial.batches.has(i)) pending.push(i);
+    }
+
+    const stats = {
+      batches: batchCount,
+      resumedBatches: batchCount - pending.length,
+      retries: 0,
+    };
+
+    let embeddedChunks = 0;
+    for (const embeddings of partial.batches.values()) {
+      embeddedChunks += embeddings.length;
+    }
+    onProgress(embeddedChunks);
+
+    let firstError = null;
+    const worker = async () => {
+      while (pending.length > 0 && !firstError) {
+        const batchIndex = pending.shift();
+        const start = batchIndex * this.embeddingBatchSize;
+        const texts = chunks.slice(start, start + this.embeddingBatchSize);
+
+        try {
+          const { embeddings, retries } = await this.embedBatchWithRetry(texts);
+          partial.batches.set(batchIndex, embeddings);
+          stats.retries += retries;
+          embeddedChunks += embeddings.length;
+          onProgress(embeddedChunks);
+        } catch (error) {
+          firstError = firstError || error;
+        }
+      }
+    };
+
+    const workerCount = Math.min(this.embeddingConcurrency, pending.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    if (firstError) {
+      firstError.embeddingStats = {
+        ...stats,
+        completedBatches: partial.batches.size,
+      };
+      throw firstError;
+    }
+
+    this.partialEmbeddings.delete(blobId);
 
-    return response.data[0].embedding;
+    const embeddings = [];
+    for (let i = 0; i < batchCount; i++) {
+      embeddings.push(...partial.batches.get(i));
+    }
+
+    return { embeddings, stats };
   }
 
   /**
@@ -150,9 +373,12 @@ class RAGService {
    * @param {Buffer} content - File content
    * @param {string} filename - Original filename
    * @param {object} metadata - Additional metadata
-   * @returns {Promise<{success: boolean, blobId: string, chunksCreated: number, textLength: number}>}
+   * @param {{onProgress?: function({stage: string, chunksEmbedded?: number, totalChunks?: number}): void}} options -
+   *   onProgress is told when extraction starts ('extracting') and how many chunks are embedded ('embedding')
+   * @returns {Promise<{success: boolean, blobId: string, chunksCreated: number, textLength: number, batches: object, timings: object, retryable?: boolean}>}
+   *   On failure, retryable tells whether processing the document again may succeed (embedding errors)
    */
-  async processDocument(blobId, content, filename, metadata = {}) {
+  async processDocument(blobId, content, filename, metadata = {}, { onProgress = () => {} } = {}) {
     if (!this.available) {
       return {
         success: false,
@@ -163,9 +389,14 @@ class RAGService {
       };
     }
 
+    const startedAt = Date.now();
+    const timings = {};
+
     try {
       // Extract text from file
-      const text = await this.extractText(content, filename);
+      onProgress({ stage: 'extracting' });
+      const { text, strategy, pages } = await this.extractText(content, filename);
+      timings.extractMs = Date.now() - startedAt;
 
       if (!text || text.trim().length === 0) {
         return {
@@ -178,108 +409,351 @@ class RAGService {
       }
 
       // Split into chunks
-      const chunks = this.splitIntoChunks(text);
-
-      // Process each chunk
-      const documentChunks = [];
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        const embedding = await this.getEmbedding(chunk);
-
-        documentChunks.push({
-          chunkIndex: i,
-          text: chunk,
-          embedding,
-          metadata: {
-            ...metadata,
-            filename,
-            blobId,
-          },
-        });
-      }
+      const chunks = this.splitIntoChunks(text, strategy);
 
-      // Store in memory
-      this.vectorStore.set(blobId, documentChunks);
+      // Embed chunks in batches
+      const embedStartedAt = Date.now();
+      const { embeddings, stats } = await this.embedChunks(
+        blobId,
+        chunks.map(chunk => chunk.text),
+        chunksEmbedded => onProgress({ stage: 'embedding', chunksEmbedded, totalChunks: chunks.length })
+      );
+      timings.embedMs = Date.now() - embedStartedAt;
 
-      console.log(`Processed document ${filename}: ${chunks.length} chunks, ${text.length} chars`);
+      const documentChunks = chunks.map((chunk, i) => ({
+        chunkIndex: i,
+        text: chunk.text,
+        embedding: embeddings[i],
+        metadata: {
+          ...metadata,
+          filename,
+          blobId,
+          headingPath: chunk.headingPath,
+          startOffset: chunk.start,
+          endOffset: chunk.end,
+          ...this._pageRange(pages, chunk.start, chunk.end),
+        },
+      }));
+
+      // Store in the vector store
+      await this.vectorStore.set(blobId, documentChunks);
+      this.keywordIndex.setDocument(blobId, documentChunks);
+      timings.totalMs = Date.now() - startedAt;
+
+      console.log(
+        `Processed document ${filename}: ${chunks.length} chunks, ${text.length} chars, ` +
+        `${stats.batches} batches in ${timings.totalMs}ms`
+      );
 
       return {
         success: true,
         blobId,
         chunksCreated: chunks.length,
         textLength: text.length,
+        batches: stats,
+        timings,
       };
     } catch (error) {
       console.error('Error processing document:', error);
+      timings.totalMs = Date.now() - startedAt;
       return {
         success: false,
         blobId,
         chunksCreated: 0,
         textLength: 0,
         error: error.message,
+        batches: error.embeddingStats,
+        // Extraction failures are permanent; embedding failures (rate limits,
+        // network) may pass, and a retry resumes from the embedded batches
+        retryable: !!error.embeddingStats,
+        timings,
       };
     }
   }
 
   /**
-   * Query documents with a question
+   * Retrieve the chunks most relevant to a question. Vector similarity and
+   * BM25 keyword scores (normalized to the best match) are combined according
+   * to the mode; overlapping chunks are dropped and the remainder optionally
+   * reranked by the provider.
    * @param {string} question - User's question
    * @param {string[]|null} documentIds - Specific blob IDs to search (null for all)
-   * @param {number} topK - Number of results to return
-   * @returns {Promise<{answer: string, sources: Array, question: string}>}
+   * @param {number} topK - Number of chunks to return
+   * @param {{walletAddress?: string|null, scope?: string, mode?: string, minScore?: number, rerank?: boolean, filters?: object}} options -
+   *   Only documents this wallet may read are searched; scope 'public' narrows the search to documents
+   *   other wallets made public. mode is 'vector', 'keyword' or 'hybrid'; chunks scoring below minScore are dropped.
+   *   filters further narrows the documents searched, see _matchesFilters().
+   * @returns {Promise<{topChunks: Array, sources: Array, empty: boolean}>}
    */
-  async queryDocuments(question, documentIds = null, topK = null) {
+  async retrieveChunks(question, documentIds = null, topK = null, {
+    walletAddress = null,
+    scope = 'accessible',
+    mode = this.retrievalMode,
+    minScore = this.minScore,
+    rerank = this.rerankEnabled,
+    filters = {},
+  } = {}) {
     if (!this.available) {
       throw new Error('RAG Service not available');
     }
 
     topK = topK || this.topK;
 
-    // Get question embedding
-    const questionEmbedding = await this.getEmbedding(question);
+    // Collect the documents to search, grouped by blob ID
+    const entries = documentIds && documentIds.length > 0
+      ? documentIds.map(docId => [docId, this.vectorStore.get(docId)])
+      : [...this.vectorStore.entries()];
 
-    // Collect all relevant chunks
-    const allChunks = [];
+    const searchable = new Map();
+    for (const [blobId, chunks] of entries) {
+      if (!chunks || chunks.length === 0) continue;
 
-    if (documentIds && documentIds.length > 0) {
-      // Search specific documents
-      for (const docId of documentIds) {
-        const chunks = this.vectorStore.get(docId);
-        if (chunks) {
-          allChunks.push(...chunks);
-        }
+      // Never search private documents of other wallets
+      const { metadata } = chunks[0];
+      if (!this.canAccess(metadata, walletAddress)) continue;
+      if (scope === 'public' && (!metadata.isPublic || sameAddress(metadata.walletAddress, walletAddress))) continue;
+      if (!this._matchesFilters(metadata, filters)) continue;
+
+      searchable.set(blobId, chunks);
+    }
+
+    if (searchable.size === 0) {
+      return { topChunks: [], sources: [], empty: true };
+    }
+
+    const vectorScores = mode === 'keyword' ? new Map() : await this._vectorScores(question, searchable);
+    const keywordScores = mode === 'vector' ? new Map() : this._keywordScores(question, searchable);
+    const vectorWeight = mode === 'hybrid' ? this.hybridVectorWeight : (mode === 'vector' ? 1 : 0);
+
+    const scoredChunks = [];
+    for (const chunks of searchable.values()) {
+      for (const chunk of chunks) {
+        const vectorScore = vectorScores.get(chunk) ?? null;
+        const keywordScore = keywordScores.get(chunk) ?? null;
+        if (vectorScore === null && keywordScore === null) continue;
+
+        const score = vectorWeight * (vectorScore || 0) + (1 - vectorWeight) * (keywordScore || 0);
+        if (score < minScore) continue;
+
+        scoredChunks.push({ ...chunk, score, vectorScore, keywordScore });
       }
+    }
+
+    scoredChunks.sort((a, b) => b.score - a.score);
+
+    let topChunks;
+    if (rerank) {
+      const candidates = this._dedupeChunks(scoredChunks, Math.max(this.rerankCandidates, topK));
+      topChunks = (await this._rerank(question, candidates)).slice(0, topK);
     } else {
-      // Search all documents
-      for (const chunks of this.vectorStore.values()) {
-        allChunks.push(...chunks);
+      topChunks = this._dedupeChunks(scoredChunks, topK);
+    }
+
+    // Format sources
+    const sources = topChunks.map(chunk => ({
+      blobId: chunk.metadata.blobId,
+      filename: chunk.metadata.filename,
+      excerpt: chunk.text.substring(0, 200) + (chunk.text.length > 200 ? '...' : ''),
+      chunkIndex: chunk.chunkIndex,
+      score: chunk.score,
+      vectorScore: chunk.vectorScore,
+      keywordScore: chunk.keywordScore,
+      rerankScore: chunk.rerankScore ?? null,
+      pageStart: chunk.metadata.pageStart ?? null,
+      pageEnd: chunk.metadata.pageEnd ?? null,
+      startOffset: chunk.metadata.startOffset ?? null,
+      endOffset: chunk.metadata.endOffset ?? null,
+      citation: this._formatCitation(chunk.metadata),
+    }));
+
+    return { topChunks, sources, empty: false };
+  }
+
+  /**
+   * Check a document's metadata against search filters
+   * @param {object} metadata - Metadata of the document's chunks
+   * @param {{owner?: string, fileTypes?: string[], uploadedAfter?: number, uploadedBefore?: number}} filters -
+   *   Owning wallet, lowercase file extensions without the dot, and upload time range (ms); unset filters match all
+   * @returns {boolean}
+   */
+  _matchesFilters(metadata, { owner, fileTypes, uploadedAfter, uploadedBefore }) {
+    if (owner && !sameAddress(metadata.walletAddress, owner)) {
+      return false;
+    }
+
+    if (fileTypes && fileTypes.length > 0) {
+      const extension = (metadata.filename || '').toLowerCase().split('.').pop();
+      if (!fileTypes.includes(extension)) {
+        return false;
       }
     }
 
-    if (allChunks.length === 0) {
-      return {
-        answer: "I don't have any documents to search. Please upload some documents first.",
-        sources: [],
-        question,
-      };
+    // Documents indexed without an upload time only match unfiltered searches
+    if (uploadedAfter != null && !(metadata.uploadedAt >= uploadedAfter)) {
+      return false;
+    }
+    if (uploadedBefore != null && !(metadata.uploadedAt <= uploadedBefore)) {
+      return false;
     }
 
-    // Calculate similarity scores
-    const scoredChunks = allChunks.map(chunk => ({
-      ...chunk,
-      score: this.cosineSimilarity(questionEmbedding, chunk.embedding),
-    }));
+    return true;
+  }
 
-    // Sort by score and get top K
-    scoredChunks.sort((a, b) => b.score - a.score);
-    const topChunks = scoredChunks.slice(0, topK);
+  /**
+   * Cosine similarity of each chunk to the question, clamped to 0-1
+   * @param {string} question - User's question
+   * @param {Map<string, Array>} searchable - Chunks to score, by blob ID
+   * @returns {Promise<Map<object, number>>} - chunk -> score
+   */
+  async _vectorScores(question, searchable) {
+    const questionEmbedding = await this.getEmbedding(question);
+    const scores = new Map();
+
+    for (const chunks of searchable.values()) {
+      for (const chunk of chunks) {
+        // Chunks embedded by a different model have a different dimension and
+        // cannot be compared, so they are skipped
+        if (chunk.embedding.length !== questionEmbedding.length) continue;
+        scores.set(chunk, Math.max(0, this.cosineSimilarity(questionEmbedding, chunk.embedding)));
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * BM25 score of each matching chunk, divided by the best score so it is comparable to cosine similarity
+   * @param {string} question - User's question
+   * @param {Map<string, Array>} searchable - Chunks to score, by blob ID
+   * @returns {Map<object, number>} - chunk -> score, matching chunks only
+   */
+  _keywordScores(question, searchable) {
+    const matches = this.keywordIndex.search(question, new Set(searchable.keys()));
+    const scores = new Map();
 
+    let best = 0;
+    for (const chunkScores of matches.values()) {
+      for (const score of chunkScores.values()) {
+        best = Math.max(best, score);
+      }
+    }
+
+    for (const [blobId, chunkScores] of matches) {
+      for (const chunk of searchable.get(blobId)) {
+        const score = chunkScores.get(chunk.chunkIndex);
+        if (score) {
+          scores.set(chunk, score / best);
+        }
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Pick the best chunks, skipping repeated text and chunks that mostly
+   * overlap a better chunk of the same document (neighbouring chunks share
+   * chunkOverlap characters)
+   * @param {Array} scoredChunks - Chunks sorted by score
+   * @param {number} limit - Maximum chunks to return
+   * @returns {Array}
+   */
+  _dedupeChunks(scoredChunks, limit) {
+    const selected = [];
+    const seenTexts = new Set();
+
+    for (const chunk of scoredChunks) {
+      if (selected.length >= limit) break;
+
+      const text = chunk.text.replace(/\s+/g, ' ').trim().toLowerCase();
+      if (seenTexts.has(text)) continue;
+      if (selected.some(other => this._overlapRatio(chunk, other) > this.dedupeOverlapRatio)) continue;
+
+      seenTexts.add(text);
+      selected.push(chunk);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Share of chunk a's text range that is also covered by chunk b
+   * @param {{metadata: object}} a - Chunk
+   * @param {{metadata: object}} b - Other chunk
+   * @returns {number} - 0 for different documents or chunks indexed without offsets
+   */
+  _overlapRatio(a, b) {
+    if (a.metadata.blobId !== b.metadata.blobId) {
+      return 0;
+    }
+
+    const { startOffset: aStart, endOffset: aEnd } = a.metadata;
+    const { startOffset: bStart, endOffset: bEnd } = b.metadata;
+    if (aStart == null || aEnd == null || bStart == null || bEnd == null || aEnd <= aStart) {
+      return 0;
+    }
+
+    const overlap = Math.min(aEnd, bEnd) - Math.max(aStart, bStart);
+    return overlap > 0 ? overlap / (aEnd - aStart) : 0;
+  }
+
+  /**
+   * Reorder chunks by the provider's relevance rating
+   * @param {string} question - User's question
+   * @param {Array} chunks - Candidate chunks
+   * @returns {Promise<Array>} - Chunks with rerankScore, best first
+   */
+  async _rerank(question, chunks) {
+    if (chunks.length === 0) {
+      return chunks;
+    }
+
+    try {
+      const scores = await this.provider.rerank({ query: question, passages: chunks.map(chunk => chunk.text) });
+      return chunks
+        .map((chunk, i) => ({ ...chunk, rerankScore: scores[i] }))
+        .sort((a, b) => b.rerankScore - a.rerankScore);
+    } catch (error) {
+      // The fused ranking is still a good answer
+      console.warn('Reranking failed:', error.message);
+      return chunks;
+    }
+  }
+
+  /**
+   * Find the passages matching a query, without generating an answer
+   * @param {string} query - Search query
+   * @param {string[]|null} documentIds - Specific blob IDs to search (null for all)
+   * @param {number} topK - Number of passages to return
+   * @param {object} options - Retrieval options, see retrieveChunks()
+   * @returns {Promise<Array>} - Sources (see retrieveChunks()) with the full chunk
+   *   text and the character ranges in it that match the query
+   */
+  async searchDocuments(query, documentIds = null, topK = null, options = {}) {
+    const { topChunks, sources } = await this.retrieveChunks(query, documentIds, topK, options);
+
+    return sources.map((source, i) => ({
+      ...source,
+      text: topChunks[i].text,
+      uploadedAt: topChunks[i].metadata.uploadedAt ?? null,
+      walletAddress: topChunks[i].metadata.walletAddress ?? null,
+      highlights: findMatches(topChunks[i].text, query),
+    }));
+  }
+
+  /**
+   * Build the answer-generation request for the provider
+   * @param {string} question - User's question
+   * @param {Array} topChunks - Retrieved chunks
+   * @param {Array<{question: string, answer: string}>} history - Previous conversation turns
+   * @returns {{question: string, sources: Array, messages: Array, temperature: number, maxTokens: number}}
+   */
+  _buildAnswerRequest(question, topChunks, history = []) {
     // Build context from top chunks
     const context = topChunks
-      .map((chunk, i) => `[Source ${i + 1}]: ${chunk.text}`)
+      .map((chunk, i) => `[Source ${i + 1}] (${this._formatCitation(chunk.metadata)}): ${chunk.text}`)
       .join('\n\n');
 
-    // Generate answer using OpenAI
     const systemPrompt = `You are a helpful assistant that answers questions based on the provided document context.
 Use only the information from the context to answer the question.
 If the context doesn't contain enough information to answer the question, say so.
@@ -292,43 +766,147 @@ Question: ${question}
 
 Please provide a comprehensive answer based on the context above.`;
 
-    const completion = await this.openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
+    return {
+      question,
+      sources: topChunks,
       messages: [
         { role: 'system', content: systemPrompt },
+        ...history.flatMap(turn => [
+          { role: 'user', content: turn.question },
+          { role: 'assistant', content: turn.answer },
+        ]),
         { role: 'user', content: userPrompt },
       ],
       temperature: this.temperature,
-      max_tokens: 1000,
+      maxTokens: 1000,
+    };
+  }
+
+  /**
+   * Turn a follow-up question into a standalone one using the conversation history
+   * @param {string} question - User's question
+   * @param {Array<{question: string, answer: string}>} history - Previous conversation turns
+   * @returns {Promise<string>}
+   */
+  async condenseQuestion(question, history = []) {
+    if (history.length === 0) {
+      return question;
+    }
+
+    try {
+      return await this.provider.condenseQuestion({ question, history });
+    } catch (error) {
+      // Retrieval with the raw question is better than failing the whole query
+      console.warn('Question condensation failed:', error.message);
+      return question;
+    }
+  }
+
+  /**
+   * Query documents with a question
+   * @param {string} question - User's question
+   * @param {string[]|null} documentIds - Specific blob IDs to search (null for all)
+   * @param {number} topK - Number of results to return
+   * @param {{history?: Array<{question: string, answer: string}>, walletAddress?: string|null, scope?: string, mode?: string, minScore?: number, rerank?: boolean}} options
+   *   Retrieval options are described in retrieveChunks()
+   * @returns {Promise<{answer: string, sources: Array, question: string, condensedQuestion: string}>}
+   */
+  async queryDocuments(question, documentIds = null, topK = null, {
+    history = [],
+    walletAddress = null,
+    scope,
+    mode,
+    minScore,
+    rerank,
+  } = {}) {
+    const condensedQuestion = await this.condenseQuestion(question, history);
+    const { topChunks, sources, empty } = await this.retrieveChunks(condensedQuestion, documentIds, topK, {
+      walletAddress,
+      scope,
+      mode,
+      minScore,
+      rerank,
     });
 
-    const answer = completion.choices[0].message.content;
+    if (empty) {
+      return {
+        answer: NO_DOCUMENTS_ANSWER,
+        sources: [],
+        question,
+        condensedQuestion,
+      };
+    }
 
-    // Format sources
-    const sources = topChunks.map(chunk => ({
-      blobId: chunk.metadata.blobId,
-      excerpt: chunk.text.substring(0, 200) + (chunk.text.length > 200 ? '...' : ''),
-      chunkIndex: chunk.chunkIndex,
-      score: chunk.score,
-    }));
+    // Generate answer using the configured provider
+    const answer = await this.provider.generateAnswer(
+      this._buildAnswerRequest(condensedQuestion, topChunks, history)
+    );
 
     return {
       answer,
       sources,
       question,
+      condensedQuestion,
     };
   }
 
+  /**
+   * Query documents and stream the answer as it is generated
+   * @param {string} question - User's question
+   * @param {string[]|null} documentIds - Specific blob IDs to search (null for all)
+   * @param {{topK?: number, signal?: AbortSignal, history?: Array<{question: string, answer: string}>, walletAddress?: string|null, scope?: string, mode?: string, minScore?: number, rerank?: boolean}} options
+   *   Retrieval options are described in retrieveChunks()
+   * @returns {AsyncGenerator<{type: 'sources', sources: Array, condensedQuestion: string}|{type: 'token', text: string}|{type: 'done', answer: string, question: string, condensedQuestion: string}>}
+   */
+  async *streamQuery(question, documentIds = null, {
+    topK = null,
+    signal,
+    history = [],
+    walletAddress = null,
+    scope,
+    mode,
+    minScore,
+    rerank,
+  } = {}) {
+    const condensedQuestion = await this.condenseQuestion(question, history);
+    const { topChunks, sources, empty } = await this.retrieveChunks(condensedQuestion, documentIds, topK, {
+      walletAddress,
+      scope,
+      mode,
+      minScore,
+      rerank,
+    });
+
+    yield { type: 'sources', sources, condensedQuestion };
+
+    if (empty) {
+      yield { type: 'token', text: NO_DOCUMENTS_ANSWER };
+      yield { type: 'done', answer: NO_DOCUMENTS_ANSWER, question, condensedQuestion };
+      return;
+    }
+
+    let answer = '';
+    const request = { ...this._buildAnswerRequest(condensedQuestion, topChunks, history), signal };
+    for await (const text of this.provider.streamAnswer(request)) {
+      answer += text;
+      yield { type: 'token', text };
+    }
+
+    yield { type: 'done', answer, question, condensedQuestion };
+  }
+
   /**
    * Delete document embeddings from the store
    * @param {string} blobId - Blob ID to delete
-   * @returns {{success: boolean, deletedChunks: number}}
+   * @returns {Promise<{success: boolean, deletedChunks: number}>}
    */
-  deleteDocument(blobId) {
+  async deleteDocument(blobId) {
     const chunks = this.vectorStore.get(blobId);
     const deletedChunks = chunks ? chunks.length : 0;
 
-    this.vectorStore.delete(blobId);
+    await this.vectorStore.delete(blobId);
+    this.keywordIndex.deleteDocument(blobId);
+    this.partialEmbeddings.delete(blobId);
 
     return {
       success: true,
@@ -336,6 +914,57 @@ Please provide a comprehensive answer based on the context above.`;
     };
   }
 
+  /**
+   * Update the owner and/or visibility stored with every chunk of a document,
+   * e.g. after the document was transferred or its visibility changed on-chain
+   * @param {string} blobId - Blob ID to update
+   * @param {{walletAddress?: string, isPublic?: boolean}} changes - Metadata to overwrite
+   * @returns {Promise<boolean>} - Whether the document is indexed
+   */
+  async updateDocumentMetadata(blobId, changes) {
+    const chunks = this.vectorStore.get(blobId);
+    if (!chunks) {
+      return false;
+    }
+
+    const updated = chunks.map(chunk => ({
+      ...chunk,
+      metadata: { ...chunk.metadata, ...changes },
+    }));
+
+    await this.vectorStore.set(blobId, updated);
+    return true;
+  }
+
+  /**
+   * Check whether a wallet may read a document: public documents are readable
+   * by anyone, private ones only by the wallet that uploaded them
+   * @param {{walletAddress?: string, isPublic?: boolean}} metadata - Chunk or document metadata
+   * @param {string|null} walletAddress - Requesting wallet (null if anonymous)
+   * @returns {boolean}
+   */
+  canAccess(metadata, walletAddress) {
+    return !!metadata.isPublic || sameAddress(metadata.walletAddress, walletAddress);
+  }
+
+  /**
+   * Get the owner and visibility recorded for an indexed document
+   * @param {string} blobId - Blob ID to look up
+   * @returns {{walletAddress: string|null, isPublic: boolean}|null} - null if the document is not indexed
+   */
+  getDocumentAccess(blobId) {
+    const chunks = this.vectorStore.get(blobId);
+    if (!chunks || chunks.length === 0) {
+      return null;
+    }
+
+    const { walletAddress, isPublic } = chunks[0].metadata;
+    return {
+      walletAddress: walletAddress || null,
+      isPublic: !!isPublic,
+    };
+  }
+
   /**
    * Get statistics for a document
    * @param {string} blobId - Blob ID to check
@@ -359,9 +988,25 @@ Please provide a comprehensive answer based on the context above.`;
     return this.available;
   }
 
+  /**
+   * Describe the active embedding/chat provider
+   * @returns {{name: string, embeddingModel: string, chatModel: string}|null}
+   */
+  getProviderInfo() {
+    if (!this.provider) {
+      return null;
+    }
+
+    return {
+      name: this.provider.name,
+      embeddingModel: this.provider.embeddingModel,
+      chatModel: this.provider.chatModel,
+    };
+  }
+
   /**
    * Get total documents and chunks in store
-   * @returns {{totalDocuments: number, totalChunks: number}}
+   * @returns {{totalDocuments: number, totalChunks: number, storeBackend: string, storePath?: string}}
    */
   getStoreStats() {
     let totalChunks = 0;
@@ -369,9 +1014,13 @@ Please provide a comprehensive answer based on the context above.`;
       totalChunks += chunks.length;
     }
 
+    const store = this.vectorStore.describe();
+
     return {
       totalDocuments: this.vectorStore.size,
       totalChunks,
+      storeBackend: store.backend,
+      storePath: store.path,
     };
   }
 }
@@ -0,0 +1,143 @@
+import { SuiClient } from '@mysten/sui/client';
+import config from '../config.js';
+import { normalizeAddress } from '../utils/address.js';
+
+/**
+ * Compare two Sui object IDs regardless of case and leading zeros
+ * @param {string} a - First ID
+ * @param {string} b - Second ID
+ * @returns {boolean}
+ */
+function sameObjectId(a, b) {
+  return BigInt(a) === BigInt(b);
+}
+
+const REGISTRY_EVENTS = ['DocumentMinted', 'DocumentTransferred', 'VisibilityChanged'];
+
+class SuiService {
+  constructor() {
+    this.rpcUrl = config.suiRpcUrl;
+    this.client = new SuiClient({ url: this.rpcUrl });
+  }
+
+  /**
+   * Check whether an event was emitted by the document registry. Any package
+   * can declare a module and events with the registry's names, so nothing is
+   * trusted unless SUI_PACKAGE_ID is set and matches.
+   * @param {{type: string}} event - Sui event
+   * @param {string} name - Event struct name, e.g. 'DocumentMinted'
+   * @returns {boolean}
+   */
+  isRegistryEvent(event, name) {
+    const suffix = `::${config.suiModuleName}::${name}`;
+    if (!config.suiPackageId || !event.type.endsWith(suffix)) {
+      return false;
+    }
+    return sameObjectId(event.type.split('::')[0], config.suiPackageId);
+  }
+
+  /**
+   * Find the DocumentAsset minted for a blob by a transaction
+   * @param {string} transactionDigest - Digest of the mint_document transaction
+   * @param {string} blobId - Walrus blob ID the document points to
+   * @returns {Promise<object|null>} - Event fields (see parseMintedEvent), null if no document was minted for the blob
+   */
+  async findMintedDocument(transactionDigest, blobId) {
+    const transaction = await this.client.waitForTransaction({
+      digest: transactionDigest,
+      options: { showEvents: true },
+      // The transaction may not have reached this node yet
+      timeout: 15 * 1000,
+    });
+
+    const event = (transaction.events || []).find(
+      candidate => this.isRegistryEvent(candidate, 'DocumentMinted')
+        && candidate.parsedJson?.walrus_blob_id === blobId
+    );
+
+    if (!event) {
+      return null;
+    }
+
+    return this.parseMintedEvent(event);
+  }
+
+  /**
+   * Read the fields of a DocumentMinted event
+   * @param {{parsedJson: object}} event - DocumentMinted event
+   * @returns {{documentId: string, blobId: string, owner: string, name: string, isPublic: boolean, uploadedAt: number}}
+   */
+  parseMintedEvent(event) {
+    const { document_id, owner, name, walrus_blob_id, is_public, uploaded_at } = event.parsedJson;
+    return {
+      documentId: normalizeAddress(document_id),
+      blobId: walrus_blob_id,
+      owner: normalizeAddress(owner),
+      name,
+      isPublic: is_public,
+      uploadedAt: Number(uploaded_at),
+    };
+  }
+
+  /**
+   * Get the registry events emitted by a transaction
+   * @param {string} transactionDigest - Transaction digest
+   * @returns {Promise<{sender: string, events: Array}>}
+   */
+  async getRegistryEvents(transactionDigest) {
+    const transaction = await this.client.waitForTransaction({
+      digest: transactionDigest,
+      options: { showEvents: true, showInput: true },
+      timeout: 15 * 1000,
+    });
+
+    return {
+      sender: normalizeAddress(transaction.transaction?.data.sender),
+      events: (transaction.events || []).filter(
+        event => REGISTRY_EVENTS.some(name => this.isRegistryEvent(event, name))
+      ),
+    };
+  }
+
+  /**
+   * Read the Walrus blob ID stored in a DocumentAsset object
+   * @param {string} documentId - DocumentAsset object ID
+   * @returns {Promise<string|null>} - null if the object does not exist or is not a document
+   */
+  async getDocumentBlobId(documentId) {
+    const object = await this.client.getObject({
+      id: documentId,
+      options: { showContent: true },
+    });
+
+    const content = object.data?.content;
+    if (content?.dataType !== 'moveObject' || !content.type.endsWith(`::${config.suiModuleName}::DocumentAsset`)) {
+      return null;
+    }
+    return content.fields.walrus_blob_id || null;
+  }
+
+  /**
+   * Page through events emitted by the registry module, oldest first
+   * @param {{txDigest: string, eventSeq: string}|null} cursor - Resume after this event
+   * @param {number} limit - Maximum events per page
+   * @returns {Promise<{data: Array, nextCursor: object|null, hasNextPage: boolean}>}
+   */
+  queryRegistryEvents(cursor, limit) {
+    return this.client.queryEvents({
+      query: {
+        MoveModule: {
+          package: config.suiPackageId,
+          module: config.suiModuleName,
+        },
+      },
+      cursor,
+      limit,
+      order: 'ascending',
+    });
+  }
+}
+
+// Export singleton instance
+const suiService = new SuiService();
+export default suiService;
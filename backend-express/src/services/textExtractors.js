@@ -0,0 +1,395 @@
+import AdmZip from 'adm-zip';
+import pdf from 'pdf-parse/lib/pdf-parse.js';
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+/**
+ * Decode XML/HTML character references and the common named entities
+ * @param {string} text - Encoded text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      if (!Number.isFinite(code)) return match;
+      // Like HTML parsers, replace NUL, surrogates and out-of-range code points
+      // instead of failing the whole document
+      const invalid = code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff);
+      return String.fromCodePoint(invalid ? 0xfffd : code);
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Collapse runs of blank lines and trailing spaces left behind by markup removal
+ * @param {string} text - Text to tidy
+ * @returns {string}
+ */
+function tidyWhitespace(text) {
+  return text
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Read a single entry from a ZIP-based office document
+ * @param {Buffer} content - Archive bytes
+ * @param {string} entryName - Path of the entry inside the archive
+ * @returns {string}
+ */
+function readZipEntry(content, entryName) {
+  const zip = new AdmZip(content);
+  const entry = zip.getEntry(entryName);
+  if (!entry) {
+    throw new Error(`Invalid document: missing ${entryName}`);
+  }
+  return entry.getData().toString('utf-8');
+}
+
+/**
+ * Heuristically decide whether a buffer holds text rather than binary data
+ * @param {Buffer} content - File content
+ * @returns {boolean}
+ */
+export function looksLikeText(content) {
+  const sample = content.subarray(0, 8192);
+  if (sample.length === 0) return true;
+
+  let suspicious = 0;
+  for (const byte of sample) {
+    if (byte === 0) return false;
+    // Control characters other than tab, newline, form feed and carriage return
+    if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 12 && byte !== 13) {
+      suspicious++;
+    }
+  }
+
+  const decoded = sample.toString('utf-8');
+  const replacements = (decoded.match(/�/g) || []).length;
+
+  return (suspicious + replacements) / sample.length < 0.05;
+}
+
+/**
+ * Render one PDF page to text, starting a new line whenever the baseline
+ * changes (same approach as pdf-parse's default renderer)
+ * @param {object} pageData - pdf.js page proxy
+ * @returns {Promise<string>}
+ */
+async function renderPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+/**
+ * Extract text from a PDF, keeping track of where each page starts and ends
+ * @param {Buffer} content - PDF bytes
+ * @returns {Promise<{text: string, pages: Array<{page: number, start: number, end: number}>}>}
+ */
+export async function extractPdf(content) {
+  const pageTexts = [];
+
+  await pdf(content, {
+    pagerender: async (pageData) => {
+      const text = await renderPdfPage(pageData);
+      pageTexts[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+
+  const pages = [];
+  let text = '';
+  pageTexts.forEach((pageText = '', index) => {
+    if (index > 0) text += '\n\n';
+    pages.push({ page: index + 1, start: text.length, end: text.length + pageText.length });
+    text += pageText;
+  });
+
+  return { text, pages };
+}
+
+/**
+ * Extract text from a DOCX file. Heading styles become Markdown headings so
+ * the Markdown splitter can use them.
+ * @param {Buffer} content - DOCX bytes
+ * @returns {string}
+ */
+export function extractDocx(content) {
+  const xml = readZipEntry(content, 'word/document.xml');
+  const body = xml.match(/<w:body[^>]*>([\s\S]*)<\/w:body>/)?.[1] ?? xml;
+  const lines = [];
+
+  // Empty paragraphs may be self-closing (<w:p .../>) and have no closing tag
+  for (const [, paragraphXml = ''] of body.matchAll(/<w:p(?:\s[^>]*?)?\/>|<w:p(?:\s[^>]*)?>([\s\S]*?)<\/w:p>/g)) {
+    const runs = [...paragraphXml.matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:br[^>]*\/>/g)]
+      .map(([token, text]) => {
+        if (text !== undefined) return text;
+        return token.startsWith('<w:tab') ? '\t' : '\n';
+      });
+    const text = decodeEntities(runs.join('')).trim();
+
+    const level = paragraphXml.match(/<w:pStyle w:val="[Hh]eading(\d)"/)?.[1];
+    lines.push(level && text ? `${'#'.repeat(Number(level))} ${text}` : text);
+  }
+
+  return tidyWhitespace(lines.join('\n\n'));
+}
+
+/**
+ * Extract text from an OpenDocument text (ODT) file
+ * @param {Buffer} content - ODT bytes
+ * @returns {string}
+ */
+export function extractOdt(content) {
+  const xml = readZipEntry(content, 'content.xml');
+  const body = xml.match(/<office:text[^>]*>([\s\S]*)<\/office:text>/)?.[1] ?? xml;
+
+  const text = body
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (_, count) => ' '.repeat(Number(count || 1)))
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<text:h(\s[^>]*)?>([\s\S]*?)<\/text:h>/g, (_, attributes = '', heading) => {
+      const level = attributes.match(/text:outline-level="(\d)"/)?.[1] || 1;
+      return `\n\n${'#'.repeat(Number(level))} ${heading}\n\n`;
+    })
+    .replace(/<\/text:p>/g, '\n\n')
+    .replace(/<\/table:table-cell>/g, ' | ')
+    .replace(/<[^>]+>/g, '');
+
+  return tidyWhitespace(decodeEntities(text));
+}
+
+// RTF destinations whose content is not document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+  'headerl', 'headerr', 'footerl', 'footerr', 'listtable', 'listoverridetable', 'themedata',
+  'datastore', 'latentstyles', 'rsidtbl', 'generator', 'xmlnstbl',
+]);
+
+/**
+ * Extract plain text from an RTF document
+ * @param {string} rtf - RTF source
+ * @returns {string}
+ */
+export function extractRtf(rtf) {
+  const output = [];
+  const stack = [];
+  let skipping = false;
+  let unicodeSkip = 1;
+  let pendingSkip = 0;
+  let i = 0;
+
+  const append = (text) => {
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      return;
+    }
+    if (!skipping) output.push(text);
+  };
+
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push({ skipping, unicodeSkip });
+      i++;
+      // {\* ...} marks an optional destination that readers may ignore
+      if (rtf.startsWith('\\*', i)) skipping = true;
+    } else if (char === '}') {
+      ({ skipping, unicodeSkip } = stack.pop() || { skipping: false, unicodeSkip: 1 });
+      i++;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        append(next);
+        i += 2;
+      } else if (next === "'") {
+        append(String.fromCharCode(parseInt(rtf.substr(i + 2, 2), 16)));
+        i += 4;
+      } else if (next === '~') {
+        append(' ');
+        i += 2;
+      } else {
+        const match = /^\\([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i, i + 40));
+        if (!match) {
+          i += 2;
+          continue;
+        }
+
+        const [token, word, param] = match;
+        i += token.length;
+
+        if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+          skipping = true;
+        } else if (word === 'par' || word === 'line' || word === 'sect' || word === 'page') {
+          append('\n');
+        } else if (word === 'tab') {
+          append('\t');
+        } else if (word === 'cell') {
+          append(' | ');
+        } else if (word === 'row') {
+          append('\n');
+        } else if (word === 'uc') {
+          unicodeSkip = Number(param);
+        } else if (word === 'u') {
+          const code = Number(param);
+          append(String.fromCharCode(code < 0 ? code + 65536 : code));
+          // The fallback characters that follow \uN are not part of the text
+          pendingSkip = unicodeSkip;
+        }
+      }
+    } else if (char === '\r' || char === '\n') {
+      i++;
+    } else {
+      append(char);
+      i++;
+    }
+  }
+
+  return tidyWhitespace(output.join(''));
+}
+
+/**
+ * Extract readable text from HTML, dropping scripts, styles and markup.
+ * Headings become Markdown headings so the Markdown splitter can use them.
+ * @param {string} html - HTML source
+ * @returns {string}
+ */
+export function extractHtml(html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (_, level, heading) =>
+      `\n\n${'#'.repeat(Number(level))} ${heading.replace(/<[^>]+>/g, '').trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/(td|th)\s*>/gi, ' | ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|header|footer|main|aside|nav|ul|ol|table|tr|blockquote|pre|dl|dt|dd|figure|figcaption|form)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/[ \t\f\v]+/g, ' ');
+
+  return tidyWhitespace(decodeEntities(text).split('\n').map(line => line.trim()).join('\n'));
+}
+
+/**
+ * Parse delimited text (CSV/TSV) into rows, honouring quoted fields
+ * @param {string} source - Delimited text
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[][]}
+ */
+function parseDelimited(source, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Extract CSV/TSV as one line per row, pairing every value with its column
+ * header so each chunk stays self-describing.
+ * @param {string} source - Delimited text
+ * @param {string} delimiter - Field delimiter
+ * @returns {string}
+ */
+export function extractCsv(source, delimiter = ',') {
+  const [header, ...rows] = parseDelimited(source.replace(/^﻿/, ''), delimiter);
+  if (!header) return '';
+
+  const columns = header.map((name, i) => name.trim() || `column ${i + 1}`);
+
+  return rows
+    .map((cells, rowIndex) => {
+      const pairs = cells
+        .map((cell, i) => [columns[i] || `column ${i + 1}`, cell.trim().replace(/\s*\n\s*/g, ' ')])
+        .filter(([, value]) => value !== '')
+        .map(([name, value]) => `${name}: ${value}`);
+      return `Row ${rowIndex + 1}: ${pairs.join('; ')}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Flatten JSON into "key.path[0]: value" lines
+ * @param {string} source - JSON text
+ * @returns {string}
+ */
+export function extractJson(source) {
+  const data = JSON.parse(source);
+  const lines = [];
+
+  const walk = (value, path) => {
+    if (Array.isArray(value)) {
+      if (value.length === 0) lines.push(`${path || '$'}: []`);
+      value.forEach((item, i) => walk(item, `${path}[${i}]`));
+    } else if (value !== null && typeof value === 'object') {
+      const entries = Object.entries(value);
+      if (entries.length === 0) lines.push(`${path || '$'}: {}`);
+      for (const [key, child] of entries) {
+        walk(child, path ? `${path}.${key}` : key);
+      }
+    } else {
+      lines.push(`${path || '$'}: ${value}`);
+    }
+  };
+
+  walk(data, '');
+  return lines.join('\n');
+}
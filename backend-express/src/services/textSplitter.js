@@ -0,0 +1,202 @@
+/**
+ * Structure-aware recursive text splitter.
+ *
+ * Text is first cut into blocks that should stay together (Markdown sections,
+ * paragraphs, fenced code). Blocks longer than the chunk size are split
+ * recursively on progressively finer separators, and the resulting pieces are
+ * merged back into chunks of at most `chunkSize` characters. Every chunk keeps
+ * its character offsets in the original text and, for Markdown, its heading path.
+ */
+
+// Separators tried in order, from coarsest to finest
+const PROSE_SEPARATORS = [/\n[ \t]*\n/g, /\n/g, /(?<=[.!?])\s+/g, /\s+/g];
+const CODE_SEPARATORS = [/\n[ \t]*\n/g, /\n/g, /\s+/g];
+
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+/**
+ * Split the range [start, end) of text into pieces no longer than chunkSize
+ * @param {string} text - Full text
+ * @param {number} start - Range start offset
+ * @param {number} end - Range end offset
+ * @param {RegExp[]} separators - Separators to try, coarsest first
+ * @param {number} chunkSize - Maximum piece length
+ * @returns {Array<{start: number, end: number}>}
+ */
+function splitRange(text, start, end, separators, chunkSize) {
+  if (end - start <= chunkSize) {
+    return [{ start, end }];
+  }
+
+  if (separators.length === 0) {
+    // Nothing left to split on, fall back to hard cuts
+    const pieces = [];
+    for (let offset = start; offset < end; offset += chunkSize) {
+      pieces.push({ start: offset, end: Math.min(offset + chunkSize, end) });
+    }
+    return pieces;
+  }
+
+  const [separator, ...finer] = separators;
+  const segment = text.slice(start, end);
+  const pieces = [];
+  let pieceStart = 0;
+
+  // Separators stay attached to the piece they end
+  for (const match of segment.matchAll(separator)) {
+    const pieceEnd = match.index + match[0].length;
+    if (pieceEnd > pieceStart) {
+      pieces.push({ start: start + pieceStart, end: start + pieceEnd });
+      pieceStart = pieceEnd;
+    }
+  }
+  if (pieceStart < segment.length) {
+    pieces.push({ start: start + pieceStart, end });
+  }
+
+  return pieces.flatMap(piece => splitRange(text, piece.start, piece.end, finer, chunkSize));
+}
+
+/**
+ * Cut Markdown into blocks: headings, paragraphs and fenced code blocks.
+ * Each block carries the heading path of the section it belongs to.
+ * @param {string} text - Markdown text
+ * @returns {Array<{start: number, end: number, code: boolean, section: number, headingPath: string[]}>}
+ */
+function markdownBlocks(text) {
+  const blocks = [];
+  const headings = [];
+  let section = 0;
+  let paragraph = null;
+  let fence = null;
+
+  const currentPath = () => headings.map(heading => heading.title);
+  const closeParagraph = () => {
+    if (paragraph) {
+      blocks.push(paragraph);
+      paragraph = null;
+    }
+  };
+
+  let offset = 0;
+  while (offset < text.length) {
+    const newline = text.indexOf('\n', offset);
+    const lineEnd = newline === -1 ? text.length : newline + 1;
+    const line = text.slice(offset, lineEnd).replace(/\r?\n$/, '');
+
+    if (fence) {
+      fence.block.end = lineEnd;
+      if (line.trim().startsWith(fence.marker)) {
+        blocks.push(fence.block);
+        fence = null;
+      }
+    } else if (FENCE_PATTERN.test(line)) {
+      closeParagraph();
+      fence = {
+        marker: line.match(FENCE_PATTERN)[1],
+        block: { start: offset, end: lineEnd, code: true, section, headingPath: currentPath() },
+      };
+    } else if (HEADING_PATTERN.test(line)) {
+      closeParagraph();
+      const [, hashes, title] = line.match(HEADING_PATTERN);
+      const level = hashes.length;
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+        headings.pop();
+      }
+      headings.push({ level, title });
+      section++;
+      blocks.push({ start: offset, end: lineEnd, code: false, section, headingPath: currentPath() });
+    } else if (line.trim() === '') {
+      closeParagraph();
+    } else if (paragraph) {
+      paragraph.end = lineEnd;
+    } else {
+      paragraph = { start: offset, end: lineEnd, code: false, section, headingPath: currentPath() };
+    }
+
+    offset = lineEnd;
+  }
+
+  // An unterminated fence runs to the end of the document
+  if (fence) blocks.push(fence.block);
+  closeParagraph();
+
+  return blocks;
+}
+
+/**
+ * Split text into chunks using the given strategy
+ * @param {string} text - Text to split
+ * @param {{chunkSize: number, chunkOverlap: number, strategy?: string}} options
+ * @returns {Array<{text: string, start: number, end: number, headingPath: string[]}>}
+ */
+export function splitText(text, { chunkSize, chunkOverlap, strategy = 'text' }) {
+  let blocks;
+  switch (strategy) {
+    case 'markdown':
+      blocks = markdownBlocks(text);
+      break;
+
+    case 'code':
+      blocks = [{ start: 0, end: text.length, code: true, section: 0, headingPath: [] }];
+      break;
+
+    default:
+      blocks = [{ start: 0, end: text.length, code: false, section: 0, headingPath: [] }];
+      break;
+  }
+
+  const pieces = blocks.flatMap(block =>
+    splitRange(text, block.start, block.end, block.code ? CODE_SEPARATORS : PROSE_SEPARATORS, chunkSize)
+      .map(range => ({ ...range, section: block.section, headingPath: block.headingPath }))
+  );
+
+  const chunks = [];
+  let current = [];
+
+  const emit = () => {
+    if (current.length === 0) return;
+
+    const start = current[0].start;
+    const end = current[current.length - 1].end;
+    const raw = text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+
+    if (trimmed) {
+      chunks.push({
+        text: trimmed,
+        start: start + leading,
+        end: start + leading + trimmed.length,
+        headingPath: current[0].headingPath,
+      });
+    }
+  };
+
+  for (const piece of pieces) {
+    const sameSection = current.length > 0 && current[0].section === piece.section;
+
+    if (current.length > 0 && (!sameSection || piece.end - current[0].start > chunkSize)) {
+      emit();
+
+      // Carry trailing pieces of the previous chunk over as overlap, within the same section
+      const overlap = [];
+      if (sameSection) {
+        // Never carry the whole previous chunk, or it would be repeated verbatim
+        for (let i = current.length - 1; i > 0; i--) {
+          const candidate = current[i];
+          if (current[current.length - 1].end - candidate.start > chunkOverlap) break;
+          if (piece.end - candidate.start > chunkSize) break;
+          overlap.unshift(candidate);
+        }
+      }
+      current = overlap;
+    }
+
+    current.push(piece);
+  }
+  emit();
+
+  return chunks;
+}
@@ -0,0 +1,162 @@
+import { resolve } from 'path';
+import { JsonFileWriter, loadJsonFile } from '../utils/jsonFile.js';
+
+/**
+ * In-memory vector store: Map<blobId, Array<{chunkIndex, text, embedding, metadata}>>
+ * Contents are lost when the process exits.
+ */
+export class MemoryVectorStore {
+  constructor() {
+    this.backend = 'memory';
+    this.documents = new Map();
+  }
+
+  /**
+   * Load persisted documents (no-op for the memory backend)
+   */
+  load() {}
+
+  /**
+   * Get the chunks stored for a document
+   * @param {string} blobId - Walrus blob ID
+   * @returns {Array|undefined}
+   */
+  get(blobId) {
+    return this.documents.get(blobId);
+  }
+
+  /**
+   * Check whether a document is stored
+   * @param {string} blobId - Walrus blob ID
+   * @returns {boolean}
+   */
+  has(blobId) {
+    return this.documents.has(blobId);
+  }
+
+  /**
+   * Store (or replace) the chunks for a document
+   * @param {string} blobId - Walrus blob ID
+   * @param {Array} chunks - Document chunks with embeddings
+   * @returns {Promise<void>}
+   */
+  async set(blobId, chunks) {
+    this.documents.set(blobId, chunks);
+  }
+
+  /**
+   * Remove a document and its chunks
+   * @param {string} blobId - Walrus blob ID
+   * @returns {Promise<boolean>} - Whether the document existed
+   */
+  async delete(blobId) {
+    return this.documents.delete(blobId);
+  }
+
+  /**
+   * Iterate over the chunk arrays of all stored documents
+   * @returns {IterableIterator<Array>}
+   */
+  values() {
+    return this.documents.values();
+  }
+
+  /**
+   * Iterate over [blobId, chunks] pairs
+   * @returns {IterableIterator<[string, Array]>}
+   */
+  entries() {
+    return this.documents.entries();
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Describe the active backend for status reporting
+   * @returns {{backend: string}}
+   */
+  describe() {
+    return { backend: this.backend };
+  }
+}
+
+/**
+ * File-backed vector store. Keeps the working set in memory and writes the
+ * whole store to a JSON file after every change, so the index survives restarts.
+ */
+export class FileVectorStore extends MemoryVectorStore {
+  /**
+   * @param {string} filePath - Path of the JSON file holding the store
+   */
+  constructor(filePath) {
+    super();
+    this.backend = 'file';
+    this.filePath = resolve(filePath);
+    this.writer = new JsonFileWriter(this.filePath);
+  }
+
+  /**
+   * Load the store from disk. Called once on startup.
+   */
+  load() {
+    const data = loadJsonFile(this.filePath, null);
+    if (!data) {
+      return;
+    }
+
+    this.documents = new Map(Object.entries(data.documents || {}));
+    console.log(`Vector store loaded from ${this.filePath}: ${this.documents.size} documents`);
+  }
+
+  async set(blobId, chunks) {
+    await super.set(blobId, chunks);
+    await this._persist();
+  }
+
+  async delete(blobId) {
+    const existed = await super.delete(blobId);
+    if (existed) {
+      await this._persist();
+    }
+    return existed;
+  }
+
+  describe() {
+    return {
+      backend: this.backend,
+      path: this.filePath,
+    };
+  }
+
+  /**
+   * Write the store to disk
+   * @returns {Promise<void>}
+   */
+  _persist() {
+    return this.writer.write(() => ({
+      version: 1,
+      savedAt: Date.now(),
+      documents: Object.fromEntries(this.documents),
+    }));
+  }
+}
+
+/**
+ * Create a vector store for the configured backend
+ * @param {{backend: string, path: string}} options - Store options
+ * @returns {MemoryVectorStore}
+ */
+export function createVectorStore({ backend, path }) {
+  switch (backend) {
+    case 'memory':
+      return new MemoryVectorStore();
+
+    case 'file':
+      return new FileVectorStore(path);
+
+    default:
+      throw new Error(`Unknown vector store backend: ${backend}`);
+  }
+}
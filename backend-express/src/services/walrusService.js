@@ -1,82 +1,387 @@
+import { Readable, Transform, pipeline } from 'stream';
+import { setTimeout as sleep } from 'timers/promises';
 import config from '../config.js';
+import blobCache from './blobCache.js';
 
-class WalrusService {
-  constructor() {
-    this.publisherUrl = config.walrusPublisherUrl;
-    this.aggregatorUrl = config.walrusAggregatorUrl;
-    this.epochs = config.walrusEpochs;
+/**
+ * Error for a failed Walrus request. Retryable errors (5xx responses,
+ * timeouts, network failures) are retried on the next endpoint.
+ */
+class WalrusRequestError extends Error {
+  constructor(message, { status = null, retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = 'WalrusRequestError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Walrus HTTP client. Requests go to lists of publishers and aggregators:
+ * endpoints that fail are marked unhealthy and tried last until a cooldown
+ * passes, and retryable failures are retried with exponential backoff.
+ */
+export class WalrusService {
+  /**
+   * @param {object} options - Client options
+   * @param {string[]} options.publisherUrls - Publisher endpoints, in order of preference
+   * @param {string[]} options.aggregatorUrls - Aggregator endpoints, in order of preference
+   * @param {number} options.epochs - Storage epochs for new blobs
+   * @param {number} options.timeoutMs - Timeout per attempt for downloads and status checks
+   * @param {number} options.uploadTimeoutMs - Timeout per attempt for uploads
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.retryDelayMs - Delay before the first retry, doubled for each further retry
+   * @param {number} options.cooldownMs - How long a failed endpoint is tried last
+   * @param {object|null} options.cache - Cache of downloaded blobs, see BlobCache
+   */
+  constructor({ publisherUrls, aggregatorUrls, epochs, timeoutMs, uploadTimeoutMs, maxRetries, retryDelayMs, cooldownMs, cache }) {
+    this.epochs = epochs;
+    this.timeoutMs = timeoutMs;
+    this.uploadTimeoutMs = uploadTimeoutMs;
+    this.maxRetries = Math.max(0, maxRetries);
+    this.retryDelayMs = retryDelayMs;
+    this.cooldownMs = cooldownMs;
+    this.cache = cache;
+
+    this.publishers = publisherUrls.map(url => this._createEndpoint(url));
+    this.aggregators = aggregatorUrls.map(url => this._createEndpoint(url));
+  }
+
+  _createEndpoint(url) {
+    return {
+      url: url.replace(/\/+$/, ''),
+      // 'unknown' until the first request, then 'healthy' or 'unhealthy'
+      status: 'unknown',
+      consecutiveFailures: 0,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      latencyMs: null,
+    };
+  }
+
+  /**
+   * Order endpoints for a request: usable ones in configured order, then those
+   * still cooling down after a failure, least recently failed first
+   */
+  _candidates(endpoints) {
+    const now = Date.now();
+    const coolingDown = endpoint => endpoint.status === 'unhealthy' && now - endpoint.lastFailureAt < this.cooldownMs;
+
+    return [
+      ...endpoints.filter(endpoint => !coolingDown(endpoint)),
+      ...endpoints.filter(coolingDown).sort((a, b) => a.lastFailureAt - b.lastFailureAt),
+    ];
+  }
+
+  _recordSuccess(endpoint, startedAt) {
+    Object.assign(endpoint, {
+      status: 'healthy',
+      consecutiveFailures: 0,
+      lastSuccessAt: Date.now(),
+      latencyMs: Date.now() - startedAt,
+    });
+  }
+
+  _recordFailure(endpoint, error) {
+    if (endpoint.status !== 'unhealthy') {
+      console.warn(`Walrus endpoint ${endpoint.url} marked unhealthy: ${error.message}`);
+    }
+    Object.assign(endpoint, {
+      status: 'unhealthy',
+      consecutiveFailures: endpoint.consecutiveFailures + 1,
+      lastError: error.message,
+      lastFailureAt: Date.now(),
+    });
+  }
+
+  /**
+   * Send a request to the first usable endpoint, failing over and retrying on
+   * retryable errors
+   * @param {object[]} endpoints - Publishers or aggregators
+   * @param {string} path - Request path
+   * @param {object} options - Request options
+   * @param {string} options.method - HTTP method
+   * @param {object} [options.headers] - Request headers
+   * @param {function(number): *} [options.body] - Returns the body for the given attempt
+   * @param {number} options.timeoutMs - Timeout per attempt
+   * @param {number} [options.maxAttempts] - Attempts, at most maxRetries + 1
+   * @param {AbortSignal} [options.signal] - Abort the request
+   * @param {function(Response): Promise<*>} options.handle - Reads a non-5xx response; runs under
+   *   the attempt's timeout, and its errors are not retried unless marked retryable. A body it
+   *   returns unread is no longer under the timeout.
+   * @returns {Promise<*>} - The result of handle()
+   */
+  async _request(endpoints, path, { method, headers, body, timeoutMs, maxAttempts, signal, handle }) {
+    if (endpoints.length === 0) {
+      throw new WalrusRequestError('No Walrus endpoints configured');
+    }
+
+    const candidates = this._candidates(endpoints);
+    const attempts = Math.min(maxAttempts ?? Infinity, this.maxRetries + 1);
+    let lastError;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const endpoint = candidates[attempt % candidates.length];
+
+      // Fail over to untried endpoints right away; back off before trying one again
+      if (attempt >= candidates.length) {
+        const round = Math.floor(attempt / candidates.length);
+        await sleep(this.retryDelayMs * 2 ** (round - 1), undefined, { signal });
+      }
+
+      const timeout = new AbortController();
+      const timer = setTimeout(() => timeout.abort(), timeoutMs);
+      const startedAt = Date.now();
+
+      try {
+        const requestBody = body ? await body(attempt) : undefined;
+        const response = await fetch(`${endpoint.url}${path}`, {
+          method,
+          headers,
+          body: requestBody,
+          // Required by fetch for streamed request bodies
+          duplex: requestBody && !Buffer.isBuffer(requestBody) ? 'half' : undefined,
+          signal: signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal,
+        });
+
+        if (response.status >= 500) {
+          const errorText = await response.text().catch(() => '');
+          throw new WalrusRequestError(`HTTP ${response.status} - ${errorText}`, {
+            status: response.status,
+            retryable: true,
+          });
+        }
+
+        const result = await handle(response);
+        this._recordSuccess(endpoint, startedAt);
+        return result;
+      } catch (error) {
+        // The caller gave up; this says nothing about the endpoint
+        if (signal?.aborted) {
+          throw signal.reason ?? error;
+        }
+
+        if (error instanceof WalrusRequestError && !error.retryable) {
+          // The endpoint answered; the request itself was refused
+          this._recordSuccess(endpoint, startedAt);
+          throw error;
+        }
+
+        lastError = timeout.signal.aborted
+          ? new WalrusRequestError(`timed out after ${timeoutMs}ms`, { retryable: true, cause: error })
+          : error;
+        this._recordFailure(endpoint, lastError);
+
+        if (attempt + 1 < attempts) {
+          console.warn(
+            `Walrus ${method} ${path} failed on ${endpoint.url} (attempt ${attempt + 1}/${attempts}): ${lastError.message}`
+          );
+        }
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    throw new WalrusRequestError(`Walrus ${method} failed after ${attempts} attempt(s): ${lastError.message}`, {
+      status: lastError.status ?? null,
+      retryable: true,
+      cause: lastError,
+    });
   }
 
   /**
    * Upload a blob to Walrus storage
-   * @param {Buffer} content - File content as buffer
+   * @param {Buffer|import('stream').Readable} content - File content, as a buffer or a stream
+   *   that is sent as it is read (large files are never held in memory)
+   * @param {object} options - Upload options
+   * @param {AbortSignal} [options.signal] - Abort the upload, e.g. when the client goes away
+   * @param {function(): Promise<Buffer|import('stream').Readable>} [options.retryContent] - Returns the
+   *   content again for a retry; a stream can only be sent once, so without it streamed uploads
+   *   are not retried
    * @returns {Promise<{blobId: string, suiRefType: string, certifiedEpoch: number}>}
    */
-  async uploadBlob(content) {
-    const url = `${this.publisherUrl}/v1/blobs?epochs=${this.epochs}`;
+  async uploadBlob(content, { signal, retryContent } = {}) {
+    const streamed = !Buffer.isBuffer(content);
 
     try {
-      const response = await fetch(url, {
+      return await this._request(this.publishers, `/v1/blobs?epochs=${this.epochs}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/octet-stream',
         },
-        body: content,
-      });
+        body: attempt => {
+          if (attempt === 0) return content;
+          // Release the producer of a stream the failed attempt stopped reading
+          if (streamed) content.destroy();
+          return retryContent ? retryContent() : content;
+        },
+        timeoutMs: this.uploadTimeoutMs,
+        maxAttempts: streamed && !retryContent ? 1 : undefined,
+        signal,
+        handle: async (response) => {
+          if (!response.ok) {
+            const errorText = await response.text();
+            throw new WalrusRequestError(`Walrus upload failed: ${response.status} - ${errorText}`, {
+              status: response.status,
+            });
+          }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Walrus upload failed: ${response.status} - ${errorText}`);
-      }
+          const result = await response.json();
 
-      const result = await response.json();
-
-      // Handle different response formats from Walrus
-      // Can be { newlyCreated: { blobObject: {...} } } or { alreadyCertified: {...} }
-      let blobInfo;
-      if (result.newlyCreated) {
-        blobInfo = result.newlyCreated.blobObject;
-      } else if (result.alreadyCertified) {
-        blobInfo = result.alreadyCertified;
-      } else {
-        // Fallback for direct response format
-        blobInfo = result;
-      }
+          // Handle different response formats from Walrus
+          // Can be { newlyCreated: { blobObject: {...} } } or { alreadyCertified: {...} }
+          let blobInfo;
+          if (result.newlyCreated) {
+            blobInfo = result.newlyCreated.blobObject;
+          } else if (result.alreadyCertified) {
+            blobInfo = result.alreadyCertified;
+          } else {
+            // Fallback for direct response format
+            blobInfo = result;
+          }
 
-      return {
-        blobId: blobInfo.blobId || blobInfo.blob_id,
-        suiRefType: result.newlyCreated ? 'newlyCreated' : 'alreadyCertified',
-        certifiedEpoch: blobInfo.certifiedEpoch || blobInfo.certified_epoch || 0,
-      };
+          return {
+            blobId: blobInfo.blobId || blobInfo.blob_id,
+            suiRefType: result.newlyCreated ? 'newlyCreated' : 'alreadyCertified',
+            certifiedEpoch: blobInfo.certifiedEpoch || blobInfo.certified_epoch || 0,
+          };
+        },
+      });
     } catch (error) {
+      if (streamed) content.destroy();
       console.error('Walrus upload error:', error);
       throw error;
     }
   }
 
+  // A failing cache is treated as a miss; Walrus still has the blob
+  async _readCache(read) {
+    if (!this.cache) {
+      return null;
+    }
+
+    try {
+      return await read(this.cache);
+    } catch (error) {
+      console.error('Blob cache read failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the verified file of a cached blob, for streaming it without loading it
+   * into memory
+   * @param {string} blobId - The blob ID
+   * @returns {Promise<{path: string, size: number}|null>} - null when the blob is not cached
+   */
+  getCachedBlobFile(blobId) {
+    return this._readCache(cache => cache.getFile(blobId));
+  }
+
+  // Turn an error response to a blob download into an error
+  async _checkDownload(response, blobId) {
+    if (response.ok) {
+      return;
+    }
+    if (response.status === 404) {
+      throw new WalrusRequestError(`Blob not found: ${blobId}`, { status: 404 });
+    }
+    const errorText = await response.text();
+    throw new WalrusRequestError(`Walrus download failed: ${response.status} - ${errorText}`, {
+      status: response.status,
+    });
+  }
+
+  /**
+   * Stream a blob from Walrus without holding it in memory. The request timeout
+   * covers the response headers; the body is written to the cache as it passes
+   * through.
+   * @param {string} blobId - The blob ID to download
+   * @returns {Promise<{stream: import('stream').Readable, size: number|null}>} - size is the
+   *   Content-Length sent by the aggregator, null if it sent none
+   */
+  async openBlobStream(blobId) {
+    let response;
+    try {
+      response = await this._request(this.aggregators, `/v1/blobs/${blobId}`, {
+        method: 'GET',
+        timeoutMs: this.timeoutMs,
+        handle: async (response) => {
+          await this._checkDownload(response, blobId);
+          return response;
+        },
+      });
+    } catch (error) {
+      console.error('Walrus download error:', error);
+      throw error;
+    }
+
+    const contentLength = response.headers.get('content-length');
+    const size = contentLength !== null && Number.isFinite(Number(contentLength)) ? Number(contentLength) : null;
+    const body = response.body ? Readable.fromWeb(response.body) : Readable.from([]);
+
+    // Serving the download does not depend on caching it
+    let writer = this.cache?.createWriter(blobId, size) ?? null;
+    writer?.on('error', (error) => {
+      console.error(`Failed to cache blob ${blobId}:`, error.message);
+      writer = null;
+    });
+
+    let flushed = false;
+    const tee = new Transform({
+      transform(chunk, encoding, callback) {
+        if (!writer) {
+          return callback(null, chunk);
+        }
+        // Pace the download by the cache, so chunks do not pile up in memory
+        writer.write(chunk, () => callback(null, chunk));
+      },
+      flush(callback) {
+        flushed = true;
+        writer?.end();
+        callback();
+      },
+      destroy(error, callback) {
+        // An incomplete download must not be cached
+        if (!flushed) {
+          writer?.destroy();
+        }
+        callback(error);
+      },
+    });
+
+    // Errors on either side destroy both, e.g. the client going away cancels the download
+    pipeline(body, tee, () => {});
+    return { stream: tee, size };
+  }
+
   /**
-   * Download a blob from Walrus storage
+   * Download a blob from Walrus storage, or from the local cache when it holds the blob
    * @param {string} blobId - The blob ID to download
    * @returns {Promise<Buffer>} - File content as buffer
    */
   async downloadBlob(blobId) {
-    const url = `${this.aggregatorUrl}/v1/blobs/${blobId}`;
+    const cached = await this._readCache(cache => cache.get(blobId));
+    if (cached) {
+      return cached;
+    }
 
     try {
-      const response = await fetch(url, {
+      const content = await this._request(this.aggregators, `/v1/blobs/${blobId}`, {
         method: 'GET',
+        timeoutMs: this.timeoutMs,
+        handle: async (response) => {
+          await this._checkDownload(response, blobId);
+          const arrayBuffer = await response.arrayBuffer();
+          return Buffer.from(arrayBuffer);
+        },
       });
 
-      if (!response.ok) {
-        if (response.status === 404) {
-          throw new Error(`Blob not found: ${blobId}`);
-        }
-        const errorText = await response.text();
-        throw new Error(`Walrus download failed: ${response.status} - ${errorText}`);
-      }
-
-      const arrayBuffer = await response.arrayBuffer();
-      return Buffer.from(arrayBuffer);
+      // Serving the download does not depend on caching it
+      await this.cache?.put(blobId, content)
+        .catch(error => console.error(`Failed to cache blob ${blobId}:`, error));
+      return content;
     } catch (error) {
       console.error('Walrus download error:', error);
       throw error;
@@ -89,27 +394,60 @@ class WalrusService {
    * @returns {Promise<{exists: boolean, statusCode: number}>}
    */
   async checkBlobStatus(blobId) {
-    const url = `${this.aggregatorUrl}/v1/blobs/${blobId}`;
-
     try {
-      const response = await fetch(url, {
+      return await this._request(this.aggregators, `/v1/blobs/${blobId}`, {
         method: 'HEAD',
+        timeoutMs: this.timeoutMs,
+        handle: async (response) => ({
+          exists: response.ok,
+          statusCode: response.status,
+        }),
       });
-
-      return {
-        exists: response.ok,
-        statusCode: response.status,
-      };
     } catch (error) {
       console.error('Walrus status check error:', error);
       return {
         exists: false,
-        statusCode: 500,
+        statusCode: error.status || 500,
       };
     }
   }
+
+  /**
+   * Describe the endpoints for status reporting. Health is tracked from the
+   * outcome of real requests; endpoints not used yet are 'unknown'.
+   * @returns {{available: boolean, publishers: object[], aggregators: object[], cache: object|null}}
+   */
+  getStatus() {
+    const describe = endpoint => ({
+      url: endpoint.url,
+      status: endpoint.status,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      lastError: endpoint.lastError,
+      lastSuccessAt: endpoint.lastSuccessAt && new Date(endpoint.lastSuccessAt).toISOString(),
+      lastFailureAt: endpoint.lastFailureAt && new Date(endpoint.lastFailureAt).toISOString(),
+      latencyMs: endpoint.latencyMs,
+    });
+    const usable = endpoints => endpoints.some(endpoint => endpoint.status !== 'unhealthy');
+
+    return {
+      available: usable(this.publishers) && usable(this.aggregators),
+      publishers: this.publishers.map(describe),
+      aggregators: this.aggregators.map(describe),
+      cache: this.cache?.getStats() ?? null,
+    };
+  }
 }
 
 // Export singleton instance
-const walrusService = new WalrusService();
+const walrusService = new WalrusService({
+  publisherUrls: config.walrusPublisherUrls,
+  aggregatorUrls: config.walrusAggregatorUrls,
+  epochs: config.walrusEpochs,
+  timeoutMs: config.walrusTimeoutMs,
+  uploadTimeoutMs: config.walrusUploadTimeoutMs,
+  maxRetries: config.walrusMaxRetries,
+  retryDelayMs: config.walrusRetryDelayMs,
+  cooldownMs: config.walrusEndpointCooldownMs,
+  cache: blobCache,
+});
 export default walrusService;
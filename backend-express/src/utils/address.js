@@ -0,0 +1,24 @@
+/**
+ * Normalize a Sui address for comparison (lowercase, 0x-prefixed)
+ * @param {string|null|undefined} address - Wallet address
+ * @returns {string|null}
+ */
+export function normalizeAddress(address) {
+  if (!address) {
+    return null;
+  }
+
+  const lower = String(address).trim().toLowerCase();
+  return lower.startsWith('0x') ? lower : `0x${lower}`;
+}
+
+/**
+ * Check whether two Sui addresses refer to the same wallet
+ * @param {string|null|undefined} a - First address
+ * @param {string|null|undefined} b - Second address
+ * @returns {boolean}
+ */
+export function sameAddress(a, b) {
+  const normalizedA = normalizeAddress(a);
+  return normalizedA !== null && normalizedA === normalizeAddress(b);
+}
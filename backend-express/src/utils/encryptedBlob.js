@@ -0,0 +1,15 @@
+// Marker written by the frontend in front of client-side encrypted blobs
+// (followed by a 12-byte IV and the AES-GCM ciphertext)
+const ENCRYPTED_BLOB_MAGIC = Buffer.from('DDOCENC1');
+const IV_LENGTH = 12;
+
+/**
+ * Check whether a blob was encrypted in the browser. The server never holds
+ * the key, so such blobs can be stored and served but not read.
+ * @param {Buffer} content - Blob contents
+ * @returns {boolean}
+ */
+export function isEncryptedBlob(content) {
+  return content.length > ENCRYPTED_BLOB_MAGIC.length + IV_LENGTH
+    && content.subarray(0, ENCRYPTED_BLOB_MAGIC.length).equals(ENCRYPTED_BLOB_MAGIC);
+}
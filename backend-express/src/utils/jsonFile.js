@@ -0,0 +1,55 @@
+import fs from 'fs';
+import { promises as fsp } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Read and parse a JSON file synchronously (used once on startup)
+ * @param {string} filePath - Path of the JSON file
+ * @param {*} fallback - Value returned when the file is missing or unreadable
+ * @returns {*}
+ */
+export function loadJsonFile(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    console.error(`Failed to load ${filePath}:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Serialized, atomic JSON writer. Writes go through a temporary file and are
+ * renamed into place, so a crash mid-write never leaves a truncated file.
+ */
+export class JsonFileWriter {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Write data to the file once previous writes have finished
+   * @param {() => *} getData - Returns the data to write; called when the write starts
+   * @returns {Promise<void>}
+   */
+  write(getData) {
+    const write = async () => {
+      const payload = JSON.stringify(getData());
+      const tmpPath = `${this.filePath}.tmp`;
+
+      await fsp.mkdir(dirname(this.filePath), { recursive: true });
+      await fsp.writeFile(tmpPath, payload, 'utf-8');
+      await fsp.rename(tmpPath, this.filePath);
+    };
+
+    this.pendingWrite = this.pendingWrite.then(write, write);
+    return this.pendingWrite;
+  }
+}
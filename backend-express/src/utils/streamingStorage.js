@@ -0,0 +1,118 @@
+import { createWriteStream, mkdirSync } from 'fs';
+import { unlink } from 'fs/promises';
+import { once } from 'events';
+import { join } from 'path';
+import { PassThrough } from 'stream';
+import { finished } from 'stream/promises';
+import { randomUUID } from 'crypto';
+
+// Leading bytes kept in memory, enough to recognize encrypted blobs
+const HEADER_LENGTH = 64;
+
+/**
+ * Multer storage engine that never holds a whole upload in memory. Each file
+ * is written to a temporary file and, for the fields given in `forward`,
+ * streamed to a consumer (e.g. Walrus) at the same time.
+ *
+ * The stored file gets `path`, `size`, `header` (its first bytes) and
+ * `forwarded` (the consumer's result, or null). Temporary files must be
+ * released with removeUploadedFiles() once the request is done.
+ */
+export class StreamingStorage {
+  /**
+   * @param {object} options - Storage options
+   * @param {string} options.directory - Directory for temporary files
+   * @param {Object<string, function(import('stream').Readable, AbortSignal, Promise<string>): Promise<*>>} options.forward -
+   *   Consumers by form field name; each receives the file contents as a stream, and the path of
+   *   the complete temporary file once it is written (e.g. to read the file again for a retry)
+   */
+  constructor({ directory, forward = {} }) {
+    this.directory = directory;
+    this.forward = forward;
+    mkdirSync(directory, { recursive: true });
+  }
+
+  _handleFile(req, file, cb) {
+    this._store(file).then(info => cb(null, info), cb);
+  }
+
+  _removeFile(req, file, cb) {
+    unlink(file.path).then(() => cb(null), cb);
+  }
+
+  async _store(file) {
+    const path = join(this.directory, randomUUID());
+    const output = createWriteStream(path);
+    const consumer = this.forward[file.fieldname];
+    const forwarded = consumer ? new PassThrough() : null;
+    const controller = new AbortController();
+    let markStored;
+    let markFailed;
+    const stored = new Promise((resolve, reject) => {
+      markStored = resolve;
+      markFailed = reject;
+    });
+
+    // Multer truncates files over the size limit; never forward a partial file
+    file.stream.on('limit', () => controller.abort(new Error('File too large')));
+
+    const result = consumer ? consumer(forwarded, controller.signal, stored) : Promise.resolve(null);
+    // Failures surface when awaited below; don't let them go unhandled meanwhile
+    result.catch(() => {});
+    stored.catch(() => {});
+    // The consumer may destroy the stream with an error; its result reports it
+    forwarded?.on('error', () => {});
+
+    let size = 0;
+    let header = Buffer.alloc(0);
+
+    try {
+      for await (const chunk of file.stream) {
+        size += chunk.length;
+        if (header.length < HEADER_LENGTH) {
+          header = Buffer.concat([header, chunk]).subarray(0, HEADER_LENGTH);
+        }
+
+        if (!output.write(chunk)) {
+          await once(output, 'drain');
+        }
+        // A consumer that failed or gave up on the stream stops reading, so also
+        // stop waiting when it settles or destroys the stream
+        if (forwarded && !forwarded.destroyed && !forwarded.write(chunk)) {
+          await Promise.race([once(forwarded, 'drain'), once(forwarded, 'close'), result]);
+        }
+      }
+
+      if (file.stream.truncated) {
+        throw new Error('File too large');
+      }
+
+      if (forwarded && !forwarded.destroyed) {
+        forwarded.end();
+      }
+      output.end();
+      await finished(output);
+      markStored(path);
+
+      return { path, size, header, forwarded: await result };
+    } catch (error) {
+      controller.abort(error);
+      markFailed(error);
+      forwarded?.destroy();
+      output.destroy();
+      await unlink(path).catch(() => {});
+      throw error;
+    }
+  }
+}
+
+/**
+ * Delete the temporary files of a request handled by StreamingStorage
+ * @param {import('express').Request} req - Request with uploaded files
+ * @param {{keep?: string[]}} options - Paths handed over to something else (e.g. a background job)
+ * @returns {Promise<void>}
+ */
+export async function removeUploadedFiles(req, { keep = [] } = {}) {
+  const files = Object.values(req.files || {}).flat().filter(file => !keep.includes(file.path));
+  await Promise.all(files.map(file => unlink(file.path).catch(() => {})));
+}
@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Keep the catalog in a scratch directory and the index in memory
+const dataDir = mkdtempSync(join(tmpdir(), 'decentradocs-documents-'));
+process.env.LLM_PROVIDER = 'local';
+process.env.VECTOR_STORE_BACKEND = 'memory';
+process.env.DOCUMENT_STORE_PATH = join(dataDir, 'documents.json');
+
+const OWNER = `0x${'1'.repeat(64)}`;
+const OTHER = `0x${'2'.repeat(64)}`;
+
+let documentService;
+let ragService;
+
+before(async () => {
+  ({ default: documentService } = await import('../src/services/documentService.js'));
+  ({ default: ragService } = await import('../src/services/ragService.js'));
+});
+
+after(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+function mint(blobId, owner, isPublic) {
+  return documentService.applyMint({
+    documentId: `0x${'a'.repeat(64)}`,
+    blobId,
+    owner,
+    name: 'notes.txt',
+    isPublic,
+    uploadedAt: Date.now(),
+    transactionDigest: 'digest',
+  });
+}
+
+test('applyMint refuses to catalog an indexed blob for another wallet', async () => {
+  const result = await ragService.processDocument('blob-indexed', Buffer.from('Private meeting notes.'), 'notes.txt', {
+    walletAddress: OWNER,
+    isPublic: false,
+    uploadedAt: Date.now(),
+  });
+  assert.equal(result.success, true, result.error);
+
+  assert.equal(await mint('blob-indexed', OTHER, true), null);
+  assert.equal(documentService.getByBlobId('blob-indexed'), undefined);
+
+  const record = await mint('blob-indexed', OWNER, false);
+  assert.equal(record.walletAddress, OWNER);
+  assert.equal(record.isPublic, false);
+});
+
+test('applyMint refuses a blob cataloged for another wallet', async () => {
+  await documentService.createRecord({
+    blobId: 'blob-uploaded',
+    walletAddress: OWNER,
+    filename: 'report.txt',
+    size: 10,
+    isPublic: false,
+    encrypted: true,
+    rag: { status: 'not_indexed', chunks: 0, error: null },
+  });
+
+  assert.equal(await mint('blob-uploaded', OTHER, true), null);
+  assert.equal(documentService.getByBlobId('blob-uploaded').walletAddress, OWNER);
+});
+
+test('applyMint catalogs blobs minted without going through the backend', async () => {
+  const record = await mint('blob-external', OTHER, true);
+  assert.equal(record.walletAddress, OTHER);
+  assert.equal(record.status, 'minted');
+});
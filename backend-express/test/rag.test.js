@@ -0,0 +1,85 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The services read their configuration on import: index in memory with the
+// offline provider, so the tests need no API key and leave no files behind
+process.env.LLM_PROVIDER = 'local';
+process.env.VECTOR_STORE_BACKEND = 'memory';
+process.env.RERANK_ENABLED = 'false';
+
+const OWNER = `0x${'1'.repeat(64)}`;
+const OTHER = `0x${'2'.repeat(64)}`;
+
+const INVOICE = `Invoice INV-2024-001
+
+Billed to Acme Corporation for consulting services delivered in March.
+The total amount due is 4,200 euros, payable within thirty days.
+
+Late payments incur a fee of two percent per month.`;
+
+const HANDBOOK = `Employee handbook
+
+Staff may work remotely up to three days per week. Holiday requests are
+submitted to the team lead at least two weeks in advance.`;
+
+let ragService;
+
+before(async () => {
+  ({ default: ragService } = await import('../src/services/ragService.js'));
+
+  const uploadedAt = Date.now();
+  for (const [blobId, text, filename, isPublic] of [
+    ['blob-invoice', INVOICE, 'invoice.txt', false],
+    ['blob-handbook', HANDBOOK, 'handbook.md', true],
+  ]) {
+    const result = await ragService.processDocument(blobId, Buffer.from(text), filename, {
+      walletAddress: OWNER,
+      isPublic,
+      uploadedAt,
+    });
+    assert.equal(result.success, true, result.error);
+  }
+});
+
+test('processDocument indexes uploaded text with the local provider', () => {
+  assert.equal(ragService.isAvailable(), true);
+  assert.deepEqual(ragService.getDocumentAccess('blob-invoice'), { walletAddress: OWNER, isPublic: false });
+  assert.ok(ragService.getDocumentStats('blob-invoice').totalChunks > 0);
+});
+
+test('retrieveChunks finds the passage answering a question', async () => {
+  const { sources, empty } = await ragService.retrieveChunks('How much is the total amount due?', null, 3, {
+    walletAddress: OWNER,
+  });
+
+  assert.equal(empty, false);
+  assert.equal(sources[0].blobId, 'blob-invoice');
+  assert.match(sources[0].excerpt, /4,200 euros/);
+});
+
+test('keyword retrieval matches identifiers whole', async () => {
+  const { sources } = await ragService.retrieveChunks('INV-2024-001', null, 3, {
+    walletAddress: OWNER,
+    mode: 'keyword',
+  });
+
+  assert.deepEqual(sources.map(source => source.blobId), ['blob-invoice']);
+});
+
+test('private documents are only retrieved for their owner', async () => {
+  const { sources } = await ragService.retrieveChunks('total amount due invoice', null, 5, {
+    walletAddress: OTHER,
+  });
+
+  assert.ok(!sources.some(source => source.blobId === 'blob-invoice'));
+});
+
+test('queryDocuments answers from the indexed documents', async () => {
+  const result = await ragService.queryDocuments('How many days per week can staff work remotely?', null, 2, {
+    walletAddress: OWNER,
+  });
+
+  assert.equal(typeof result.answer, 'string');
+  assert.ok(result.answer.length > 0);
+  assert.equal(result.sources[0].blobId, 'blob-handbook');
+});
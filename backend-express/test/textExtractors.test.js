@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import { extractDocx, extractHtml } from '../src/services/textExtractors.js';
+
+function docx(bodyXml) {
+  const zip = new AdmZip();
+  zip.addFile('word/document.xml', Buffer.from(`<w:document><w:body>${bodyXml}</w:body></w:document>`));
+  return zip.toBuffer();
+}
+
+test('invalid numeric entities become U+FFFD instead of failing extraction', () => {
+  assert.equal(extractHtml('<p>a &#99999999; b &#x110000; c &#xD800; d &#65;</p>'), 'a � b � c � d A');
+});
+
+test('self-closing DOCX paragraphs do not swallow the next paragraph', () => {
+  const text = extractDocx(docx(
+    '<w:p><w:r><w:t>First</w:t></w:r></w:p>' +
+    '<w:p w:rsidR="00AB"/>' +
+    '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Second</w:t></w:r></w:p>' +
+    '<w:p/>' +
+    '<w:p><w:r><w:t>Third &amp; last</w:t></w:r></w:p>'
+  ));
+
+  assert.equal(text, 'First\n\n# Second\n\nThird & last');
+});
@@ -3,6 +3,7 @@ import { ConnectButton, useCurrentAccount } from '@mysten/dapp-kit';
 import DocumentUpload from './components/DocumentUpload';
 import DocumentList from './components/DocumentList';
 import QueryInterface from './components/QueryInterface';
+import SearchInterface from './components/SearchInterface';
 import './App.css';
 
 function App() {
@@ -53,6 +54,7 @@ function App() {
 
               <div className="right-panel">
                 <QueryInterface documents={documents} />
+                <SearchInterface documents={documents} />
               </div>
             </div>
           </>
@@ -1,17 +1,38 @@
-import { useState, useEffect, useCallback } from 'react';
-import { useCurrentAccount, useSuiClient } from '@mysten/dapp-kit';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useCurrentAccount, useSuiClient, useSignAndExecuteTransaction } from '@mysten/dapp-kit';
+import { Transaction } from '@mysten/sui/transactions';
+import { isValidSuiAddress, normalizeSuiAddress } from '@mysten/sui/utils';
 import axios from 'axios';
+import { useWalletAuth } from '../hooks/useWalletAuth';
+import { useDocumentEncryption } from '../hooks/useDocumentEncryption';
+import { openDocument } from '../utils/download';
 
 // Sui package configuration - should match backend .env
 const SUI_PACKAGE_ID = '0x29882692892abd61964dbff7de9364bb56a96c4fcfe45c26e3e4b4d4f722b48c';
 const SUI_MODULE_NAME = 'registry';
 
+const SORTERS = {
+  newest: (a, b) => Number(b.uploaded_at) - Number(a.uploaded_at),
+  oldest: (a, b) => Number(a.uploaded_at) - Number(b.uploaded_at),
+  'name-asc': (a, b) => a.name.localeCompare(b.name),
+  'name-desc': (a, b) => b.name.localeCompare(a.name),
+};
+
 function DocumentList({ onDocumentsUpdate, refreshTrigger }) {
   const [documents, setDocuments] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [nameFilter, setNameFilter] = useState('');
+  const [visibilityFilter, setVisibilityFilter] = useState('all');
+  const [sortOrder, setSortOrder] = useState('newest');
+  const [notice, setNotice] = useState(null);
+  const [pendingDocumentId, setPendingDocumentId] = useState(null);
+  const [transfer, setTransfer] = useState(null);
   const currentAccount = useCurrentAccount();
   const client = useSuiClient();
+  const { mutateAsync: signAndExecute } = useSignAndExecuteTransaction();
+  const { getAuthHeaders, clearSession } = useWalletAuth();
+  const { decrypt } = useDocumentEncryption();
 
   const fetchDocuments = useCallback(async () => {
     if (!currentAccount || !client) return;
@@ -23,32 +44,41 @@ function DocumentList({ onDocumentsUpdate, refreshTrigger }) {
       // Query owned objects of DocumentAsset type from Sui
       const objectType = `${SUI_PACKAGE_ID}::${SUI_MODULE_NAME}::DocumentAsset`;
       
-      const ownedObjects = await client.getOwnedObjects({
-        owner: currentAccount.address,
-        filter: {
-          StructType: objectType,
-        },
-        options: {
-          showContent: true,
-          showType: true,
-        },
-      });
-
       // Parse the objects into document format
       const parsedDocuments = [];
-      
-      for (const obj of ownedObjects.data) {
-        if (obj.data && obj.data.content && 'fields' in obj.data.content) {
-          const fields = obj.data.content.fields;
-          parsedDocuments.push({
-            id: obj.data.objectId,
-            name: fields.name || '',
-            owner: fields.owner || currentAccount.address,
-            walrus_blob_id: fields.walrus_blob_id || '',
-            uploaded_at: fields.uploaded_at || 0,
-            is_public: fields.is_public || false,
-          });
+
+      // Results are paginated; fetch every page so no document is left out of the list or the query scope
+      let cursor = null;
+      let hasNextPage = true;
+      while (hasNextPage) {
+        const ownedObjects = await client.getOwnedObjects({
+          owner: currentAccount.address,
+          filter: {
+            StructType: objectType,
+          },
+          options: {
+            showContent: true,
+            showType: true,
+          },
+          cursor,
+        });
+
+        for (const obj of ownedObjects.data) {
+          if (obj.data && obj.data.content && 'fields' in obj.data.content) {
+            const fields = obj.data.content.fields;
+            parsedDocuments.push({
+              id: obj.data.objectId,
+              name: fields.name || '',
+              owner: fields.owner || currentAccount.address,
+              walrus_blob_id: fields.walrus_blob_id || '',
+              uploaded_at: fields.uploaded_at || 0,
+              is_public: fields.is_public || false,
+            });
+          }
         }
+
+        cursor = ownedObjects.nextCursor;
+        hasNextPage = ownedObjects.hasNextPage && Boolean(cursor);
       }
 
       setDocuments(parsedDocuments);
@@ -73,6 +103,146 @@ function DocumentList({ onDocumentsUpdate, refreshTrigger }) {
     }
   }, [currentAccount, refreshTrigger, client, fetchDocuments]);
 
+  const visibleDocuments = useMemo(() => {
+    const query = nameFilter.trim().toLowerCase();
+    return documents
+      .filter(doc => !query || doc.name.toLowerCase().includes(query))
+      .filter(doc => visibilityFilter === 'all' || doc.is_public === (visibilityFilter === 'public'))
+      .sort(SORTERS[sortOrder]);
+  }, [documents, nameFilter, visibilityFilter, sortOrder]);
+
+  const handleDownload = async (doc) => {
+    setError(null);
+    try {
+      await openDocument({
+        blobId: doc.walrus_blob_id,
+        filename: doc.name,
+        headers: await getAuthHeaders(),
+        decrypt,
+      });
+    } catch (err) {
+      if (err.status === 401) clearSession();
+      setError(err.message || 'Download failed');
+      console.error('Download error:', err);
+    }
+  };
+
+  /**
+   * Sign and execute a registry transaction for a document, then bring the
+   * AI index in line with the new on-chain state and refresh the list
+   */
+  const runDocumentTransaction = async (doc, addMoveCall, successMessage) => {
+    setPendingDocumentId(doc.id);
+    setError(null);
+    setNotice(null);
+
+    let result;
+    try {
+      const tx = new Transaction();
+      addMoveCall(tx);
+      result = await signAndExecute({ transaction: tx });
+      // An aborted Move call is still executed and returns a digest
+      const executed = await client.waitForTransaction({
+        digest: result.digest,
+        options: { showEffects: true },
+      });
+      if (executed.effects?.status.status !== 'success') {
+        throw new Error(executed.effects?.status.error || 'The transaction was not executed successfully');
+      }
+    } catch (err) {
+      setError(`Transaction failed: ${err.message || 'User rejected or transaction failed'}`);
+      console.error('Transaction error:', err);
+      setPendingDocumentId(null);
+      return;
+    }
+
+    let syncError = null;
+    try {
+      await axios.post('/api/documents/sync', { transaction_digest: result.digest }, {
+        headers: await getAuthHeaders(),
+      });
+    } catch (err) {
+      if (err.response?.status === 401) clearSession();
+      syncError = err.response?.data?.detail || err.message;
+      console.error('Sync error:', err);
+    }
+
+    await fetchDocuments();
+    setPendingDocumentId(null);
+    setNotice(successMessage);
+    if (syncError) {
+      setError(`Transaction succeeded but the AI index was not updated: ${syncError}`);
+    }
+  };
+
+  const handleToggleVisibility = (doc) => {
+    const isPublic = !doc.is_public;
+    if (isPublic && !window.confirm(
+      `Make "${doc.name}" public? Anyone will be able to find it in AI queries and download it. ` +
+      'Documents encrypted when they were uploaded stay unreadable to others.'
+    )) {
+      return;
+    }
+
+    runDocumentTransaction(
+      doc,
+      (tx) => tx.moveCall({
+        target: `${SUI_PACKAGE_ID}::${SUI_MODULE_NAME}::set_visibility`,
+        arguments: [tx.object(doc.id), tx.pure.bool(isPublic)],
+      }),
+      `"${doc.name}" is now ${isPublic ? 'public' : 'private'}`
+    );
+  };
+
+  const handleTransfer = (doc) => {
+    const recipient = transfer.recipient.trim();
+    // Require the full address; normalizing first would pad a truncated one into
+    // a valid-looking address nobody owns, and transfers cannot be undone
+    if (!isValidSuiAddress(recipient)) {
+      setError('Please enter a full Sui address (0x followed by 64 hex characters)');
+      return;
+    }
+
+    if (!window.confirm(
+      `Transfer "${doc.name}" to ${recipient}? You will no longer own it. ` +
+      'Documents encrypted with your wallet cannot be decrypted by the recipient.'
+    )) {
+      return;
+    }
+
+    setTransfer(null);
+    runDocumentTransaction(
+      doc,
+      (tx) => tx.moveCall({
+        target: `${SUI_PACKAGE_ID}::${SUI_MODULE_NAME}::transfer_document`,
+        arguments: [tx.object(doc.id), tx.pure.address(normalizeSuiAddress(recipient))],
+      }),
+      `"${doc.name}" was transferred to ${recipient}`
+    );
+  };
+
+  const handleRemoveFromIndex = async (doc) => {
+    if (!window.confirm(`Remove "${doc.name}" from the AI index? It stays stored on Walrus and Sui.`)) {
+      return;
+    }
+
+    setPendingDocumentId(doc.id);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await axios.delete(`/api/documents/${doc.walrus_blob_id}`, {
+        headers: await getAuthHeaders(),
+      });
+      setNotice(`Removed "${doc.name}" from the AI index (${response.data.deleted_chunks} chunks)`);
+    } catch (err) {
+      if (err.response?.status === 401) clearSession();
+      setError(err.response?.data?.detail || 'Failed to remove document from the AI index');
+      console.error('Remove from index error:', err);
+    } finally {
+      setPendingDocumentId(null);
+    }
+  };
+
   const formatDate = (timestamp) => {
     if (!timestamp) return 'N/A';
     // Sui timestamps are in milliseconds
@@ -103,6 +273,7 @@ function DocumentList({ onDocumentsUpdate, refreshTrigger }) {
       </div>
 
       {error && <div className="error-message">{error}</div>}
+      {notice && <div className="success-message">{notice}</div>}
 
       {loading && <p>Loading documents...</p>}
 
@@ -111,8 +282,34 @@ function DocumentList({ onDocumentsUpdate, refreshTrigger }) {
       )}
 
       {!loading && documents.length > 0 && (
+        <div className="list-controls">
+          <input
+            type="search"
+            value={nameFilter}
+            onChange={(e) => setNameFilter(e.target.value)}
+            placeholder="Filter by name..."
+          />
+          <select value={visibilityFilter} onChange={(e) => setVisibilityFilter(e.target.value)}>
+            <option value="all">All</option>
+            <option value="public">Public</option>
+            <option value="private">Private</option>
+          </select>
+          <select value={sortOrder} onChange={(e) => setSortOrder(e.target.value)}>
+            <option value="newest">Newest first</option>
+            <option value="oldest">Oldest first</option>
+            <option value="name-asc">Name A-Z</option>
+            <option value="name-desc">Name Z-A</option>
+          </select>
+        </div>
+      )}
+
+      {!loading && documents.length > 0 && visibleDocuments.length === 0 && (
+        <p className="info">No documents match the current filters.</p>
+      )}
+
+      {!loading && visibleDocuments.length > 0 && (
         <div className="documents-grid">
-          {documents.map((doc) => (
+          {visibleDocuments.map((doc) => (
             <div key={doc.id} className="document-card">
               <h3>{doc.name}</h3>
               <div className="document-details">
@@ -131,15 +328,54 @@ function DocumentList({ onDocumentsUpdate, refreshTrigger }) {
                 </p>
               </div>
               <div className="document-actions">
-                <a
-                  href={`/api/download/${doc.walrus_blob_id}`}
-                  target="_blank"
-                  rel="noopener noreferrer"
+                <button onClick={() => handleDownload(doc)} className="btn-link">
+                  Download
+                </button>
+                <button
+                  onClick={() => handleToggleVisibility(doc)}
+                  disabled={pendingDocumentId !== null}
                   className="btn-link"
                 >
-                  Download
-                </a>
+                  {doc.is_public ? 'Make Private' : 'Make Public'}
+                </button>
+                <button
+                  onClick={() => setTransfer({ documentId: doc.id, recipient: '' })}
+                  disabled={pendingDocumentId !== null}
+                  className="btn-link"
+                >
+                  Transfer
+                </button>
+                <button
+                  onClick={() => handleRemoveFromIndex(doc)}
+                  disabled={pendingDocumentId !== null}
+                  className="btn-link"
+                >
+                  Remove from AI Index
+                </button>
               </div>
+              {transfer?.documentId === doc.id && (
+                <div className="transfer-form">
+                  <input
+                    type="text"
+                    value={transfer.recipient}
+                    onChange={(e) => setTransfer({ ...transfer, recipient: e.target.value })}
+                    placeholder="Recipient address (0x...)"
+                  />
+                  <button
+                    onClick={() => handleTransfer(doc)}
+                    disabled={!transfer.recipient.trim()}
+                    className="btn-primary"
+                  >
+                    Send
+                  </button>
+                  <button onClick={() => setTransfer(null)} className="btn-secondary">
+                    Cancel
+                  </button>
+                </div>
+              )}
+              {pendingDocumentId === doc.id && (
+                <p className="chunk-info">Waiting for confirmation...</p>
+              )}
             </div>
           ))}
         </div>
@@ -147,7 +383,9 @@ function DocumentList({ onDocumentsUpdate, refreshTrigger }) {
 
       {!loading && documents.length > 0 && (
         <p className="document-count">
-          Total: {documents.length} document(s)
+          {visibleDocuments.length === documents.length
+            ? `Total: ${documents.length} document(s)`
+            : `Showing ${visibleDocuments.length} of ${documents.length} document(s)`}
         </p>
       )}
     </div>
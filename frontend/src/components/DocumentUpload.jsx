@@ -1,28 +1,219 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useCurrentAccount, useSignAndExecuteTransaction } from '@mysten/dapp-kit';
 import { Transaction } from '@mysten/sui/transactions';
 import axios from 'axios';
+import { useWalletAuth } from '../hooks/useWalletAuth';
+import { useDocumentEncryption } from '../hooks/useDocumentEncryption';
+
+const JOB_POLL_INTERVAL_MS = 1000;
+const ACCEPTED_EXTENSIONS = ['pdf', 'txt', 'md', 'docx', 'odt', 'rtf', 'html', 'htm', 'csv', 'tsv', 'json'];
+
+// Describe the background indexing job returned by /api/jobs/:id
+function describeIndexing(job) {
+  switch (job.stage) {
+    case 'queued':
+      return 'Waiting to be indexed';
+    case 'extracting':
+      return 'Extracting text';
+    case 'embedding':
+      return `Indexing ${job.chunks_embedded}/${job.total_chunks} chunks`;
+    case 'retrying':
+      return `Indexing failed, retrying (attempt ${job.attempts} of ${job.max_attempts})`;
+    case 'indexed':
+      return `Indexed ${job.total_chunks} chunks for AI queries`;
+    case 'skipped':
+      return 'Not indexed for AI queries';
+    case 'failed':
+      return `Indexing failed: ${job.error}`;
+    default:
+      return 'Indexing status unavailable';
+  }
+}
+
+function stageClass(done, failed) {
+  return done ? 'done' : failed ? 'failed' : 'active';
+}
+
+function isAccepted(file) {
+  return ACCEPTED_EXTENSIONS.includes(file.name.toLowerCase().split('.').pop());
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 * 1024
+    ? `${(bytes / 1024).toFixed(1)} KB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Read a dropped file or folder, keeping each file's path inside the drop
+async function readEntry(entry, path = '') {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path: path + file.name }];
+  }
+
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    const children = [];
+    // readEntries returns the directory in batches; an empty batch means done
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (batch.length === 0) break;
+      children.push(...batch);
+    }
+
+    const nested = await Promise.all(children.map(child => readEntry(child, `${path}${entry.name}/`)));
+    return nested.flat();
+  }
+
+  return [];
+}
+
+let nextItemId = 0;
 
 function DocumentUpload({ onUploadSuccess }) {
-  const [file, setFile] = useState(null);
+  const [items, setItems] = useState([]);
   const [isPublic, setIsPublic] = useState(false);
-  const [loading, setLoading] = useState(false);
-  const [signing, setSigning] = useState(false);
+  const [allowIndexing, setAllowIndexing] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [minting, setMinting] = useState(false);
+  const [recording, setRecording] = useState(false);
+  const [dragActive, setDragActive] = useState(false);
+  const [pollTick, setPollTick] = useState(0);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
-  const [uploadResult, setUploadResult] = useState(null);
+  const folderInputRef = useRef(null);
   const currentAccount = useCurrentAccount();
-  const { mutate: signAndExecute } = useSignAndExecuteTransaction();
+  const { mutateAsync: signAndExecute } = useSignAndExecuteTransaction();
+  const { getAuthHeaders, clearSession } = useWalletAuth();
+  const { encryptFile } = useDocumentEncryption();
 
-  const handleFileChange = (e) => {
-    setFile(e.target.files[0]);
-    setError(null);
+  const busy = uploading || minting || recording;
+
+  const updateItem = (id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  // Poll the indexing jobs of uploaded files until they finish
+  const activeJobIds = items
+    .filter(item => item.job && !item.job.finished)
+    .map(item => item.job.job_id)
+    .join(',');
+
+  useEffect(() => {
+    if (!activeJobIds) return;
+
+    const timer = setTimeout(async () => {
+      const headers = await getAuthHeaders().catch(() => ({}));
+      const jobs = await Promise.all(activeJobIds.split(',').map(async (jobId) => {
+        try {
+          const response = await axios.get(`/api/jobs/${jobId}`, { headers });
+          return response.data;
+        } catch (err) {
+          if (err.response?.status === 401) clearSession();
+          console.error('Job status error:', err);
+          return { job_id: jobId, stage: 'unknown', finished: true };
+        }
+      }));
+
+      setItems(prev => prev.map((item) => {
+        const job = jobs.find(candidate => candidate.job_id === item.job?.job_id);
+        return job ? { ...item, job: { ...item.job, ...job } } : item;
+      }));
+      setPollTick(tick => tick + 1);
+    }, JOB_POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [activeJobIds, pollTick, getAuthHeaders, clearSession]);
+
+  const addFiles = (entries) => {
+    const accepted = entries.filter(({ file }) => isAccepted(file));
+    const skipped = entries.length - accepted.length;
+
+    setItems(prev => [
+      ...prev,
+      ...accepted
+        // Ignore files that are already waiting in the list
+        .filter(({ file, path }) => !prev.some(item => item.status === 'pending'
+          && item.path === path && item.file.size === file.size))
+        .map(({ file, path }) => ({
+          id: ++nextItemId,
+          file,
+          path,
+          status: 'pending',
+          progress: 0,
+          result: null,
+          job: null,
+          error: null,
+          mintError: null,
+          digest: null,
+          completeError: null,
+        })),
+    ]);
+
+    setError(skipped > 0 ? `Skipped ${skipped} file(s) of an unsupported type` : null);
     setSuccess(null);
   };
 
+  const handleFileChange = (e) => {
+    addFiles([...e.target.files].map(file => ({ file, path: file.webkitRelativePath || file.name })));
+    // Allow selecting the same files again
+    e.target.value = '';
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (busy || !currentAccount) return;
+
+    // Entries must be read before the event handler yields
+    const entries = [...e.dataTransfer.items]
+      .map(item => item.webkitGetAsEntry?.())
+      .filter(Boolean);
+
+    if (entries.length > 0) {
+      addFiles((await Promise.all(entries.map(entry => readEntry(entry)))).flat());
+    } else {
+      addFiles([...e.dataTransfer.files].map(file => ({ file, path: file.name })));
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setDragActive(true);
+  };
+
+  const uploadItem = async (item) => {
+    // Private documents are encrypted here; the server only sees the
+    // plaintext if the user allows it to be indexed for AI queries.
+    const formData = new FormData();
+    if (isPublic) {
+      formData.append('file', item.file);
+    } else {
+      formData.append('file', await encryptFile(item.file));
+      if (allowIndexing) {
+        formData.append('index_file', item.file);
+      }
+    }
+    formData.append('is_public', isPublic);
+
+    const response = await axios.post('/api/upload-document', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+        ...await getAuthHeaders(),
+      },
+      onUploadProgress: (event) => {
+        const total = event.total || formData.get('file').size;
+        updateItem(item.id, { progress: Math.min(100, Math.round((event.loaded / total) * 100)) });
+      },
+    });
+
+    return response.data;
+  };
+
   const handleUpload = async () => {
-    if (!file) {
-      setError('Please select a file');
+    const pending = items.filter(item => item.status === 'pending' || (item.status === 'failed' && !item.result));
+    if (pending.length === 0) {
+      setError('Please select files to upload');
       return;
     }
 
@@ -31,150 +222,287 @@ function DocumentUpload({ onUploadSuccess }) {
       return;
     }
 
-    setLoading(true);
+    setUploading(true);
     setError(null);
     setSuccess(null);
-    setUploadResult(null);
 
+    // Step 1: Upload the files one at a time, which keeps the load on the
+    // browser and the server bounded for large folders
+    const uploaded = [];
+    for (const item of pending) {
+      updateItem(item.id, { status: 'uploading', progress: 0, error: null });
+      try {
+        const result = await uploadItem(item);
+        updateItem(item.id, { status: 'uploaded', progress: 100, result, job: result.job });
+        uploaded.push({ ...item, result });
+      } catch (err) {
+        if (err.response?.status === 401) clearSession();
+        console.error(`Upload error for ${item.path}:`, err);
+        updateItem(item.id, {
+          status: 'failed',
+          error: err.response?.data?.detail || err.message || 'Upload failed',
+        });
+      }
+    }
+
+    setUploading(false);
+
+    // Step 2: Mint a DocumentAsset for every stored file in one transaction
+    const toMint = uploaded.filter(item => item.result.sui_transaction_data);
+    if (toMint.length > 0) {
+      await mintDocuments(toMint);
+    } else if (uploaded.length > 0) {
+      setSuccess(`${uploaded.length} document(s) uploaded to Walrus`);
+      onUploadSuccess?.(uploaded.map(item => item.result));
+    }
+  };
+
+  const mintDocuments = async (toMint) => {
+    setMinting(true);
+    setError(null);
+    toMint.forEach(item => updateItem(item.id, { status: 'minting', mintError: null }));
+
+    let result;
     try {
-      // Step 1: Upload to Walrus and get transaction data
-      const formData = new FormData();
-      formData.append('file', file);
-      formData.append('wallet_address', currentAccount.address);
-      formData.append('is_public', isPublic);
-
-      const response = await axios.post('/api/upload-document', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-      });
-
-      setUploadResult(response.data);
-      setSuccess(`Document uploaded to Walrus! Blob ID: ${response.data.walrus_blob_id}`);
-
-      // Step 2: If Sui transaction data is provided, prompt user to sign
-      if (response.data.sui_transaction_data) {
-        await handleSignTransaction(response.data);
-      } else {
-        // No Sui transaction needed, complete
-        setFile(null);
-        if (onUploadSuccess) {
-          onUploadSuccess(response.data);
-        }
-        document.getElementById('file-input').value = '';
+      // One programmable transaction block with a mint_document call per file,
+      // so the user signs once
+      const tx = new Transaction();
+      for (const item of toMint) {
+        const txData = item.result.sui_transaction_data;
+        tx.moveCall({
+          target: `${txData.package_id}::${txData.module_name}::${txData.function_name}`,
+          arguments: [
+            tx.pure.vector('u8', Array.from(new TextEncoder().encode(txData.arguments.name))),
+            tx.pure.vector('u8', Array.from(new TextEncoder().encode(txData.arguments.walrus_blob_id))),
+            tx.pure.bool(txData.arguments.is_public),
+            tx.object('0x6'), // Clock object
+          ],
+        });
       }
 
+      result = await signAndExecute({ transaction: tx });
+      console.log('Transaction successful:', result);
     } catch (err) {
-      setError(err.response?.data?.detail || 'Upload failed. Please try again.');
-      console.error('Upload error:', err);
+      console.error('Transaction failed:', err);
+      const message = err.message || 'User rejected or transaction failed';
+      toMint.forEach(item => updateItem(item.id, { status: 'uploaded', mintError: message }));
+      setError(`Transaction failed: ${message}`);
+      setMinting(false);
+      return;
+    }
+
+    // Step 3: Link each blob to the document minted for it
+    setMinting(false);
+    setRecording(true);
+    const minted = toMint.map(item => ({ ...item, digest: result.digest }));
+    minted.forEach(item => updateItem(item.id, { digest: result.digest }));
+
+    let completed;
+    try {
+      completed = await completeUploads(minted);
     } finally {
-      setLoading(false);
+      setRecording(false);
+    }
+
+    if (completed < toMint.length) {
+      setError(`${toMint.length - completed} minted document(s) could not be recorded yet; complete them below`);
     }
+    setSuccess(`${completed} of ${toMint.length} document(s) uploaded and minted. Transaction: ${result.digest}`);
+    onUploadSuccess?.(toMint.map(item => ({ ...item.result, sui_transaction_digest: result.digest })));
   };
 
-  const handleSignTransaction = async (uploadData) => {
-    if (!uploadData.sui_transaction_data) {
-      return;
+  // Record minted documents with the backend. Failures leave the items
+  // 'unconfirmed' so completing them can be retried without minting again;
+  // the backend also picks the documents up from the chain events.
+  const completeUploads = async (minted) => {
+    const markUnconfirmed = (item, err) => updateItem(item.id, {
+      status: 'unconfirmed',
+      completeError: err.response?.data?.detail || err.message || 'Upload could not be completed',
+    });
+
+    minted.forEach(item => updateItem(item.id, { status: 'recording' }));
+
+    let headers;
+    try {
+      headers = await getAuthHeaders();
+    } catch (err) {
+      console.error('Sign-in for completing uploads failed:', err);
+      minted.forEach(item => markUnconfirmed(item, err));
+      return 0;
+    }
+
+    let completed = 0;
+    for (const item of minted) {
+      try {
+        const completeFormData = new FormData();
+        completeFormData.append('blob_id', item.result.walrus_blob_id);
+        completeFormData.append('transaction_digest', item.digest);
+
+        await axios.post('/api/complete-upload', completeFormData, { headers });
+        updateItem(item.id, { status: 'minted', completeError: null });
+        completed++;
+      } catch (err) {
+        if (err.response?.status === 401) clearSession();
+        console.error(`Failed to complete upload of ${item.path}:`, err);
+        markUnconfirmed(item, err);
+      }
     }
+    return completed;
+  };
 
-    setSigning(true);
+  const handleRetryComplete = async () => {
+    const unconfirmed = items.filter(item => item.status === 'unconfirmed');
+    setRecording(true);
     setError(null);
+    setSuccess(null);
 
+    let completed;
     try {
-      const txData = uploadData.sui_transaction_data;
-      
-      // Construct the transaction
-      const tx = new Transaction();
-      
-      // Convert strings to bytes (vector<u8>)
-      const nameBytes = new TextEncoder().encode(txData.arguments.name);
-      const blobIdBytes = new TextEncoder().encode(txData.arguments.walrus_blob_id);
-      
-      // Build the move call
-      tx.moveCall({
-        target: `${txData.package_id}::${txData.module_name}::${txData.function_name}`,
-        arguments: [
-          tx.pure.vector('u8', Array.from(nameBytes)),
-          tx.pure.vector('u8', Array.from(blobIdBytes)),
-          tx.pure.bool(txData.arguments.is_public),
-          tx.object('0x6'), // Clock object
-        ],
-      });
-
-      // Sign and execute the transaction
-      signAndExecute(
-        {
-          transaction: tx,
-          options: {
-            showEffects: true,
-            showObjectChanges: true,
-          },
-        },
-        {
-          onSuccess: async (result) => {
-            console.log('Transaction successful:', result);
-            
-            // Step 3: Complete the upload by sending transaction digest to backend
-            try {
-              const completeFormData = new FormData();
-              completeFormData.append('blob_id', uploadData.walrus_blob_id);
-              completeFormData.append('transaction_digest', result.digest);
-              completeFormData.append('wallet_address', currentAccount.address);
-
-              await axios.post('/api/complete-upload', completeFormData);
-
-              setSuccess(
-                `Document uploaded successfully! Blob ID: ${uploadData.walrus_blob_id}, Transaction: ${result.digest}`
-              );
-              setFile(null);
-              
-              if (onUploadSuccess) {
-                onUploadSuccess({
-                  ...uploadData,
-                  sui_transaction_digest: result.digest,
-                });
-              }
-              
-              document.getElementById('file-input').value = '';
-            } catch (err) {
-              console.error('Failed to complete upload:', err);
-              setError('Transaction signed but failed to complete upload. Transaction: ' + result.digest);
-            }
-          },
-          onError: (error) => {
-            console.error('Transaction failed:', error);
-            setError(`Transaction failed: ${error.message || 'User rejected or transaction failed'}`);
-          },
-        }
-      );
-    } catch (err) {
-      console.error('Failed to construct transaction:', err);
-      setError(`Failed to construct transaction: ${err.message}`);
+      completed = await completeUploads(unconfirmed);
     } finally {
-      setSigning(false);
+      setRecording(false);
+    }
+
+    if (completed < unconfirmed.length) {
+      setError(`${unconfirmed.length - completed} minted document(s) could not be recorded yet`);
+    }
+    if (completed > 0) {
+      setSuccess(`${completed} minted document(s) recorded`);
+      onUploadSuccess?.(unconfirmed.map(item => ({ ...item.result, sui_transaction_digest: item.digest })));
+    }
+  };
+
+  const handleRetryMint = () => {
+    mintDocuments(items.filter(item => item.status === 'uploaded' && item.mintError));
+  };
+
+  const removeItem = (id) => {
+    setItems(prev => prev.filter(item => item.id !== id));
+  };
+
+  const clearFinished = () => {
+    setItems(prev => prev.filter(item => item.status === 'pending' || item.status === 'uploading'
+      || item.status === 'minting' || item.status === 'recording' || item.status === 'unconfirmed'
+      || (item.status === 'uploaded' && item.mintError)));
+  };
+
+  const uploadStage = (item) => {
+    switch (item.status) {
+      case 'pending':
+        return { text: 'Waiting to upload', className: '' };
+      case 'uploading':
+        return { text: `Uploading ${item.progress}%`, className: 'active' };
+      case 'failed':
+        if (!item.result) return { text: `Upload failed: ${item.error}`, className: 'failed' };
+        return { text: 'Stored on Walrus', className: 'done' };
+      default:
+        return { text: 'Stored on Walrus', className: 'done' };
+    }
+  };
+
+  const mintStage = (item) => {
+    if (item.status === 'minted') return { text: 'Minted on Sui', className: 'done' };
+    if (item.status === 'minting') return { text: 'Waiting for the Sui transaction', className: 'active' };
+    if (item.status === 'recording') return { text: 'Minted, recording the document', className: 'active' };
+    if (item.status === 'unconfirmed') {
+      return { text: `Minted, but the upload could not be completed: ${item.completeError}`, className: 'failed' };
     }
+    if (item.status === 'failed') return { text: item.error, className: 'failed' };
+    if (item.mintError) return { text: `Not minted: ${item.mintError}`, className: 'failed' };
+    return { text: 'Not minted yet', className: '' };
   };
 
+  const pendingCount = items.filter(item => item.status === 'pending' || (item.status === 'failed' && !item.result)).length;
+  const mintRetryCount = items.filter(item => item.status === 'uploaded' && item.mintError).length;
+  const completeRetryCount = items.filter(item => item.status === 'unconfirmed').length;
+  const finishedCount = items.length - items.filter(item => item.status === 'pending' || item.status === 'uploading'
+    || item.status === 'minting' || item.status === 'recording' || item.status === 'unconfirmed'
+    || (item.status === 'uploaded' && item.mintError)).length;
+
   return (
     <div className="document-upload">
-      <h2>Upload Document</h2>
+      <h2>Upload Documents</h2>
 
       <div className="upload-form">
-        <div className="form-group">
-          <label htmlFor="file-input">Select File (PDF, TXT, etc.)</label>
+        <div
+          className={`drop-zone${dragActive ? ' active' : ''}`}
+          onDragOver={handleDragOver}
+          onDragLeave={() => setDragActive(false)}
+          onDrop={handleDrop}
+        >
+          <label htmlFor="file-input">Drop files or a folder here (PDF, DOCX, TXT, HTML, CSV, etc.), or</label>
           <input
             id="file-input"
             type="file"
+            multiple
+            onChange={handleFileChange}
+            accept={ACCEPTED_EXTENSIONS.map(extension => `.${extension}`).join(',')}
+            disabled={busy || !currentAccount}
+          />
+          <button
+            type="button"
+            onClick={() => folderInputRef.current?.click()}
+            disabled={busy || !currentAccount}
+            className="btn-secondary"
+          >
+            Select Folder
+          </button>
+          <input
+            ref={folderInputRef}
+            type="file"
+            webkitdirectory=""
+            multiple
+            hidden
             onChange={handleFileChange}
-            accept=".pdf,.txt,.md,.doc,.docx"
-            disabled={loading || !currentAccount}
           />
         </div>
 
-        {file && (
-          <div className="file-info">
-            <p>Selected: {file.name} ({(file.size / 1024).toFixed(2)} KB)</p>
-          </div>
+        {items.length > 0 && (
+          <ul className="upload-queue">
+            {items.map((item) => {
+              const upload = uploadStage(item);
+              const mint = mintStage(item);
+              return (
+                <li key={item.id} className="upload-item">
+                  <div className="upload-item-header">
+                    <span className="upload-item-name" title={item.path}>{item.path}</span>
+                    <span className="chunk-info">{formatSize(item.file.size)}</span>
+                    {!busy && item.status === 'pending' && (
+                      <button type="button" onClick={() => removeItem(item.id)} className="source-marker">
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                  <ol className="upload-stages">
+                    <li className={upload.className}>
+                      {upload.text}
+                      {item.status === 'uploading' && <progress value={item.progress} max="100" />}
+                    </li>
+                    {item.job && (
+                      <li className={stageClass(
+                        item.job.stage === 'indexed' || item.job.stage === 'skipped',
+                        item.job.stage === 'failed'
+                      )}>
+                        {describeIndexing(item.job)}
+                        {item.job.stage === 'embedding' && item.job.total_chunks > 0 && (
+                          <progress value={item.job.chunks_embedded} max={item.job.total_chunks} />
+                        )}
+                      </li>
+                    )}
+                    {item.result?.sui_transaction_data && (
+                      <li className={mint.className}>{mint.text}</li>
+                    )}
+                  </ol>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {items.length > 0 && !busy && finishedCount > 0 && (
+          <button type="button" onClick={clearFinished} className="source-marker">
+            Clear finished
+          </button>
         )}
 
         <div className="form-group">
@@ -183,23 +511,60 @@ function DocumentUpload({ onUploadSuccess }) {
               type="checkbox"
               checked={isPublic}
               onChange={(e) => setIsPublic(e.target.checked)}
-              disabled={loading}
+              disabled={busy}
             />
-            Make document public
+            Make documents public
           </label>
         </div>
 
+        {!isPublic && (
+          <div className="form-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={allowIndexing}
+                onChange={(e) => setAllowIndexing(e.target.checked)}
+                disabled={busy}
+              />
+              Index for AI queries
+            </label>
+            <p className="info">
+              {allowIndexing
+                ? 'Documents are stored encrypted, but readable copies are sent to the server for AI indexing.'
+                : 'Documents are encrypted in your browser and are not readable by the server or AI queries.'}
+            </p>
+          </div>
+        )}
+
         <button
           onClick={handleUpload}
-          disabled={loading || signing || !file || !currentAccount}
+          disabled={busy || pendingCount === 0 || !currentAccount}
           className="btn-primary"
         >
-          {signing ? 'Signing Transaction...' : loading ? 'Uploading...' : 'Upload to Walrus & Sui'}
+          {minting
+            ? 'Signing Transaction...'
+            : recording
+              ? 'Recording Uploads...'
+              : uploading
+                ? 'Uploading...'
+                : `Upload ${pendingCount || ''} ${pendingCount === 1 ? 'Document' : 'Documents'} to Walrus & Sui`}
         </button>
-        
-        {uploadResult && uploadResult.sui_transaction_data && !signing && (
+
+        {mintRetryCount > 0 && !busy && (
+          <button type="button" onClick={handleRetryMint} className="btn-secondary upload-retry">
+            Mint {mintRetryCount} Uploaded {mintRetryCount === 1 ? 'Document' : 'Documents'}
+          </button>
+        )}
+
+        {completeRetryCount > 0 && !busy && (
+          <button type="button" onClick={handleRetryComplete} className="btn-secondary upload-retry">
+            Complete {completeRetryCount} Minted {completeRetryCount === 1 ? 'Upload' : 'Uploads'}
+          </button>
+        )}
+
+        {minting && (
           <div className="transaction-prompt">
-            <p>Please approve the transaction in your wallet to mint the document NFT on Sui.</p>
+            <p>Please approve the transaction in your wallet to mint the document NFTs on Sui.</p>
           </div>
         )}
 
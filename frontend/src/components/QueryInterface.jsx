@@ -1,13 +1,75 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useCurrentAccount } from '@mysten/dapp-kit';
 import axios from 'axios';
+import { useWalletAuth } from '../hooks/useWalletAuth';
+import { useDocumentEncryption } from '../hooks/useDocumentEncryption';
+import { readEventStream } from '../utils/eventStream';
+import { openDocument } from '../utils/download';
+
+const SOURCE_MARKER_PATTERN = /(\[Source \d+\])/g;
 
 function QueryInterface({ documents }) {
   const [question, setQuestion] = useState('');
-  const [answer, setAnswer] = useState(null);
+  const [turns, setTurns] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const [conversations, setConversations] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [activeSource, setActiveSource] = useState(null);
+  const [scope, setScope] = useState('mine');
+  const [selectedBlobIds, setSelectedBlobIds] = useState([]);
   const currentAccount = useCurrentAccount();
+  const { isSignedIn, getAuthHeaders, clearSession } = useWalletAuth();
+  const { decrypt } = useDocumentEncryption();
+  const abortControllerRef = useRef(null);
+
+  // Cancel any in-flight query when the component unmounts
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  // Only list conversations once signed in, rather than prompting for a signature on load
+  const fetchConversations = useCallback(async () => {
+    if (!currentAccount || !isSignedIn) {
+      setConversations([]);
+      return;
+    }
+
+    try {
+      const response = await axios.get('/api/conversations', {
+        headers: await getAuthHeaders(),
+      });
+      setConversations(response.data.conversations);
+    } catch (err) {
+      if (err.response?.status === 401) clearSession();
+      console.error('Fetch conversations error:', err);
+    }
+  }, [currentAccount, isSignedIn, getAuthHeaders, clearSession]);
+
+  useEffect(() => {
+    fetchConversations();
+  }, [fetchConversations]);
+
+  // Ignore selections of documents that are no longer in the list
+  const selectedDocuments = useMemo(
+    () => (documents || []).filter(doc => selectedBlobIds.includes(doc.walrus_blob_id)),
+    [documents, selectedBlobIds]
+  );
+
+  const toggleDocument = (blobId) => {
+    setSelectedBlobIds(prev => (
+      prev.includes(blobId) ? prev.filter(id => id !== blobId) : [...prev, blobId]
+    ));
+  };
+
+  // Update the turn currently being answered (always the last one)
+  const updateLastTurn = (update) => {
+    setTurns(prev => {
+      if (prev.length === 0) return prev;
+      const last = prev[prev.length - 1];
+      return [...prev.slice(0, -1), { ...last, ...update(last) }];
+    });
+  };
 
   const handleQuery = async () => {
     if (!question.trim()) {
@@ -15,30 +77,176 @@ function QueryInterface({ documents }) {
       return;
     }
 
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const askedQuestion = question.trim();
+
     setLoading(true);
     setError(null);
-    setAnswer(null);
+    setQuestion('');
+    setTurns(prev => [...prev, { question: askedQuestion, answer: '', sources: [], streaming: true }]);
 
     try {
-      // Prepare document IDs from user's documents
-      const documentIds = documents?.map(doc => doc.walrus_blob_id) || [];
+      // Search the picked documents, or all of the user's documents if none are picked
+      const scopedDocuments = selectedDocuments.length > 0 ? selectedDocuments : documents || [];
+      const documentIds = scope === 'public' ? [] : scopedDocuments.map(doc => doc.walrus_blob_id);
+
+      const authHeaders = currentAccount ? await getAuthHeaders() : {};
 
-      const response = await axios.post('/api/query', {
-        question: question.trim(),
-        document_ids: documentIds.length > 0 ? documentIds : null,
-        wallet_address: currentAccount?.address || null,
+      const response = await fetch('/api/query', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          ...authHeaders,
+        },
+        body: JSON.stringify({
+          question: askedQuestion,
+          document_ids: documentIds.length > 0 ? documentIds : null,
+          scope: scope === 'public' ? 'public' : 'accessible',
+          conversation_id: conversationId,
+          stream: true,
+        }),
+        signal: controller.signal,
       });
 
-      setAnswer(response.data);
+      if (!response.ok) {
+        if (response.status === 401) clearSession();
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.detail || 'Query failed. Please try again.');
+      }
+
+      await readEventStream(response, (event, data) => {
+        if (event === 'sources') {
+          setConversationId(data.conversation_id);
+          updateLastTurn(() => ({ sources: data.sources }));
+        } else if (event === 'token') {
+          updateLastTurn(turn => ({ answer: turn.answer + data.text }));
+        } else if (event === 'done') {
+          updateLastTurn(() => ({ answer: data.answer, streaming: false }));
+        } else if (event === 'error') {
+          throw new Error(data.detail || 'Query failed. Please try again.');
+        }
+      });
+
+      fetchConversations();
 
     } catch (err) {
-      setError(err.response?.data?.detail || 'Query failed. Please try again.');
-      console.error('Query error:', err);
+      if (err.name === 'AbortError') {
+        // Keep whatever was streamed before the user cancelled
+        updateLastTurn(() => ({ streaming: false, cancelled: true }));
+      } else {
+        setTurns(prev => prev.slice(0, -1));
+        setQuestion(askedQuestion);
+        setError(err.message || 'Query failed. Please try again.');
+        console.error('Query error:', err);
+      }
     } finally {
       setLoading(false);
+      abortControllerRef.current = null;
+    }
+  };
+
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const handleNewConversation = () => {
+    setConversationId(null);
+    setTurns([]);
+    setError(null);
+  };
+
+  const handleSelectConversation = async (id) => {
+    if (!id) {
+      handleNewConversation();
+      return;
+    }
+
+    setError(null);
+    try {
+      const response = await axios.get(`/api/conversations/${id}`, {
+        headers: await getAuthHeaders(),
+      });
+      setConversationId(id);
+      setTurns(response.data.turns.map(turn => ({
+        question: turn.question,
+        answer: turn.answer,
+        sources: turn.sources,
+        streaming: false,
+      })));
+    } catch (err) {
+      setError(err.response?.data?.detail || 'Failed to load conversation');
+      console.error('Load conversation error:', err);
+    }
+  };
+
+  const handleDeleteConversation = async () => {
+    if (!conversationId) return;
+
+    try {
+      await axios.delete(`/api/conversations/${conversationId}`, {
+        headers: await getAuthHeaders(),
+      });
+      handleNewConversation();
+      fetchConversations();
+    } catch (err) {
+      setError(err.response?.data?.detail || 'Failed to delete conversation');
+      console.error('Delete conversation error:', err);
     }
   };
 
+  const documentName = (source) => {
+    const doc = documents?.find(d => d.walrus_blob_id === source.blobId);
+    return doc?.name || source.filename || source.blobId;
+  };
+
+  // Open the cited document, PDFs at the cited page
+  const handleOpenSource = async (source, name) => {
+    setError(null);
+    try {
+      await openDocument({
+        blobId: source.blobId,
+        filename: name,
+        headers: currentAccount ? await getAuthHeaders() : {},
+        decrypt: currentAccount ? decrypt : null,
+        inline: Boolean(source.pageStart),
+        page: source.pageStart,
+      });
+    } catch (err) {
+      if (err.status === 401) clearSession();
+      setError(err.message || 'Failed to open document');
+      console.error('Open source error:', err);
+    }
+  };
+
+  const handleSourceClick = (turnIndex, sourceNumber) => {
+    const key = `${turnIndex}-${sourceNumber}`;
+    setActiveSource(key);
+    document.getElementById(`source-${key}`)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+
+  // Turn [Source N] markers in the answer into links to the matching excerpt
+  const renderAnswerText = (text, turnIndex, sourceCount) => {
+    return text.split(SOURCE_MARKER_PATTERN).map((part, i) => {
+      const sourceNumber = Number(part.match(/^\[Source (\d+)\]$/)?.[1]);
+      if (!sourceNumber || sourceNumber > sourceCount) {
+        return part;
+      }
+
+      return (
+        <button
+          key={i}
+          type="button"
+          className="source-marker"
+          onClick={() => handleSourceClick(turnIndex, sourceNumber)}
+        >
+          {part}
+        </button>
+      );
+    });
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -50,43 +258,177 @@ function QueryInterface({ documents }) {
     <div className="query-interface">
       <h2>Ask Questions About Your Documents</h2>
 
+      <div className="conversation-controls">
+        <select
+          value={conversationId || ''}
+          onChange={(e) => handleSelectConversation(e.target.value)}
+          disabled={loading}
+        >
+          <option value="">New conversation</option>
+          {conversations.map((conversation) => (
+            <option key={conversation.conversation_id} value={conversation.conversation_id}>
+              {conversation.title} ({conversation.turn_count})
+            </option>
+          ))}
+        </select>
+        <button onClick={handleNewConversation} disabled={loading || turns.length === 0} className="btn-secondary">
+          New
+        </button>
+        <button onClick={handleDeleteConversation} disabled={loading || !conversationId} className="btn-secondary">
+          Delete
+        </button>
+      </div>
+
+      {turns.length > 0 && (
+        <div className="conversation-thread">
+          {turns.map((turn, index) => (
+            <div key={index} className="conversation-turn">
+              <div className="turn-question">
+                <strong>You:</strong> {turn.question}
+              </div>
+              <div className="answer-content">
+                {turn.answer ? (
+                  <p>
+                    {renderAnswerText(turn.answer, index, turn.sources.length)}
+                    {turn.streaming && <span className="streaming-cursor">▍</span>}
+                  </p>
+                ) : (
+                  <p className="chunk-info">
+                    {turn.streaming ? 'Searching...' : 'No answer received.'}
+                  </p>
+                )}
+                {turn.cancelled && <p className="chunk-info">Query cancelled.</p>}
+              </div>
+
+              {turn.sources.length > 0 && (
+                <div className="sources-section">
+                  <h4>Sources:</h4>
+                  {turn.sources.map((source, sourceIndex) => {
+                    const key = `${index}-${sourceIndex + 1}`;
+                    const name = documentName(source);
+                    return (
+                      <div
+                        key={key}
+                        id={`source-${key}`}
+                        className={`source-item${activeSource === key ? ' active' : ''}`}
+                      >
+                        <div className="source-meta">
+                          <strong>[Source {sourceIndex + 1}]</strong> {name}
+                          {source.pageStart && (
+                            <span>
+                              {source.pageStart === source.pageEnd
+                                ? `, p. ${source.pageStart}`
+                                : `, pp. ${source.pageStart}-${source.pageEnd}`}
+                            </span>
+                          )}
+                          {' '}
+                          <span className="chunk-info">
+                            (chunk {source.chunkIndex}, relevance {(source.score * 100).toFixed(1)}%)
+                          </span>
+                        </div>
+                        <p className="source-excerpt">{source.excerpt}</p>
+                        <button
+                          type="button"
+                          onClick={() => handleOpenSource(source, name)}
+                          className="source-download"
+                        >
+                          {source.pageStart ? `Open at page ${source.pageStart}` : 'Download'}
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="query-form">
         <div className="form-group">
           <textarea
             value={question}
             onChange={(e) => setQuestion(e.target.value)}
             onKeyPress={handleKeyPress}
-            placeholder="Ask a question about your documents..."
+            placeholder={turns.length > 0 ? 'Ask a follow-up question...' : 'Ask a question about your documents...'}
             rows="4"
             disabled={loading}
           />
         </div>
 
-        <button
-          onClick={handleQuery}
-          disabled={loading || !question.trim()}
-          className="btn-primary"
-        >
-          {loading ? 'Searching...' : 'Ask AI'}
-        </button>
+        {loading ? (
+          <button onClick={handleCancel} className="btn-secondary">
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={handleQuery}
+            disabled={!question.trim()}
+            className="btn-primary"
+          >
+            Ask AI
+          </button>
+        )}
 
-        {documents && documents.length > 0 && (
-          <p className="info">
-            Searching across {documents.length} document(s)
-          </p>
+        <div className="query-scope">
+          <label>
+            <input
+              type="radio"
+              name="query-scope"
+              checked={scope === 'mine'}
+              onChange={() => setScope('mine')}
+              disabled={loading}
+            />
+            My documents
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="query-scope"
+              checked={scope === 'public'}
+              onChange={() => setScope('public')}
+              disabled={loading}
+            />
+            Public documents
+          </label>
+        </div>
+
+        {scope === 'mine' && documents && documents.length > 0 && (
+          <div className="document-picker">
+            {documents.map((doc) => (
+              <label
+                key={doc.walrus_blob_id}
+                className={`document-tag${selectedBlobIds.includes(doc.walrus_blob_id) ? ' selected' : ''}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={selectedBlobIds.includes(doc.walrus_blob_id)}
+                  onChange={() => toggleDocument(doc.walrus_blob_id)}
+                  disabled={loading}
+                />
+                {doc.name}
+              </label>
+            ))}
+            {selectedDocuments.length > 0 && (
+              <button type="button" onClick={() => setSelectedBlobIds([])} className="source-marker" disabled={loading}>
+                Clear
+              </button>
+            )}
+          </div>
         )}
 
+        <p className="info">
+          {scope === 'public'
+            ? 'Searching documents other wallets have made public'
+            : selectedDocuments.length > 0
+              ? `Searching ${selectedDocuments.length} of ${documents.length} document(s)`
+              : documents && documents.length > 0
+                ? `Searching across all ${documents.length} document(s)`
+                : 'Searching all documents you can access'}
+        </p>
+
         {error && <div className="error-message">{error}</div>}
       </div>
-
-      {answer && (
-        <div className="answer-section">
-          <h3>Answer:</h3>
-          <div className="answer-content">
-            <p>{answer.answer}</p>
-          </div>
-        </div>
-      )}
     </div>
   );
 }
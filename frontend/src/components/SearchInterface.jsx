@@ -0,0 +1,182 @@
+import { useState } from 'react';
+import { useCurrentAccount } from '@mysten/dapp-kit';
+import axios from 'axios';
+import { useWalletAuth } from '../hooks/useWalletAuth';
+import { useDocumentEncryption } from '../hooks/useDocumentEncryption';
+import { openDocument } from '../utils/download';
+
+const FILE_TYPES = ['pdf', 'docx', 'txt', 'md', 'csv', 'json', 'html'];
+
+function SearchInterface({ documents }) {
+  const [query, setQuery] = useState('');
+  const [scope, setScope] = useState('mine');
+  const [fileType, setFileType] = useState('');
+  const [uploadedFrom, setUploadedFrom] = useState('');
+  const [uploadedTo, setUploadedTo] = useState('');
+  const [mode, setMode] = useState('hybrid');
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const currentAccount = useCurrentAccount();
+  const { getAuthHeaders, clearSession } = useWalletAuth();
+  const { decrypt } = useDocumentEncryption();
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) {
+      setError('Please enter a search query');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await axios.post('/api/search', {
+        query: query.trim(),
+        scope: scope === 'public' ? 'public' : 'accessible',
+        wallet_address: scope === 'mine' ? currentAccount.address : undefined,
+        file_types: fileType ? [fileType] : undefined,
+        uploaded_after: uploadedFrom || undefined,
+        // Include documents uploaded on the end date itself
+        uploaded_before: uploadedTo ? `${uploadedTo}T23:59:59.999Z` : undefined,
+        mode,
+        top_k: 10,
+      }, {
+        headers: currentAccount ? await getAuthHeaders() : {},
+      });
+
+      setResults(response.data.results);
+    } catch (err) {
+      if (err.response?.status === 401) clearSession();
+      setError(err.response?.data?.detail || 'Search failed. Please try again.');
+      console.error('Search error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const documentName = (result) => {
+    const doc = documents?.find(d => d.walrus_blob_id === result.blobId);
+    return doc?.name || result.filename || result.blobId;
+  };
+
+  const handleOpen = async (result, name) => {
+    setError(null);
+    try {
+      await openDocument({
+        blobId: result.blobId,
+        filename: name,
+        headers: currentAccount ? await getAuthHeaders() : {},
+        decrypt: currentAccount ? decrypt : null,
+        inline: Boolean(result.pageStart),
+        page: result.pageStart,
+      });
+    } catch (err) {
+      if (err.status === 401) clearSession();
+      setError(err.message || 'Failed to open document');
+      console.error('Open result error:', err);
+    }
+  };
+
+  // Split the passage into plain and highlighted parts
+  const renderHighlighted = (text, highlights) => {
+    const parts = [];
+    let position = 0;
+    highlights.forEach(({ start, end }, i) => {
+      if (start > position) parts.push(text.slice(position, start));
+      parts.push(<mark key={i}>{text.slice(start, end)}</mark>);
+      position = end;
+    });
+    parts.push(text.slice(position));
+    return parts;
+  };
+
+  return (
+    <div className="search-interface">
+      <h2>Search Documents</h2>
+
+      <form onSubmit={handleSearch}>
+        <div className="search-bar">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Find passages, names, invoice numbers..."
+            disabled={loading}
+          />
+          <button type="submit" disabled={loading || !query.trim()} className="btn-primary">
+            {loading ? 'Searching...' : 'Search'}
+          </button>
+        </div>
+
+        <div className="list-controls search-filters">
+          <select value={scope} onChange={(e) => setScope(e.target.value)} disabled={loading}>
+            <option value="mine">My documents</option>
+            <option value="accessible">All I can access</option>
+            <option value="public">Public documents</option>
+          </select>
+          <select value={fileType} onChange={(e) => setFileType(e.target.value)} disabled={loading}>
+            <option value="">Any file type</option>
+            {FILE_TYPES.map(type => (
+              <option key={type} value={type}>.{type}</option>
+            ))}
+          </select>
+          <select value={mode} onChange={(e) => setMode(e.target.value)} disabled={loading}>
+            <option value="hybrid">Hybrid</option>
+            <option value="keyword">Exact words</option>
+            <option value="vector">Meaning</option>
+          </select>
+        </div>
+
+        <div className="list-controls search-filters">
+          <label>
+            Uploaded from
+            <input type="date" value={uploadedFrom} onChange={(e) => setUploadedFrom(e.target.value)} disabled={loading} />
+          </label>
+          <label>
+            to
+            <input type="date" value={uploadedTo} onChange={(e) => setUploadedTo(e.target.value)} disabled={loading} />
+          </label>
+        </div>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {results && (
+        <div className="sources-section">
+          <h4>{results.length > 0 ? `${results.length} passage(s) found` : 'No matching passages'}</h4>
+          {results.map((result) => {
+            const name = documentName(result);
+            return (
+              <div key={`${result.blobId}-${result.chunkIndex}`} className="source-item">
+                <div className="source-meta">
+                  <strong>{name}</strong>
+                  {result.pageStart && (
+                    <span>
+                      {result.pageStart === result.pageEnd
+                        ? `, p. ${result.pageStart}`
+                        : `, pp. ${result.pageStart}-${result.pageEnd}`}
+                    </span>
+                  )}
+                  {' '}
+                  <span className="chunk-info">
+                    (chunk {result.chunkIndex}
+                    {result.startOffset !== null && `, chars ${result.startOffset}-${result.endOffset}`}
+                    , score {(result.score * 100).toFixed(1)}%)
+                  </span>
+                </div>
+                <p className="source-excerpt">{renderHighlighted(result.text, result.highlights)}</p>
+                <button type="button" onClick={() => handleOpen(result, name)} className="source-download">
+                  {result.pageStart ? `Open at page ${result.pageStart}` : 'Download'}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchInterface;
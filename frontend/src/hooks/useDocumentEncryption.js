@@ -0,0 +1,100 @@
+import { useCallback } from 'react';
+import { useCurrentAccount, useSignPersonalMessage } from '@mysten/dapp-kit';
+import {
+  keyDerivationMessage,
+  deriveEncryptionKey,
+  isEncrypted,
+  encryptBytes,
+  decryptBytes,
+} from '../utils/encryption';
+
+// Derived keys live in memory only: Map<address, Promise<CryptoKey>>
+const keys = new Map();
+
+// Addresses whose wallet was seen to sign the key message the same way twice
+const DETERMINISTIC_SIGNERS_KEY = 'decentradocs:deterministic-signers';
+
+function loadDeterministicSigners() {
+  try {
+    return JSON.parse(localStorage.getItem(DETERMINISTIC_SIGNERS_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function rememberDeterministicSigner(address) {
+  const signers = loadDeterministicSigners();
+  if (!signers.includes(address)) {
+    localStorage.setItem(DETERMINISTIC_SIGNERS_KEY, JSON.stringify([...signers, address]));
+  }
+}
+
+/**
+ * Encrypt private documents in the browser with a key derived from a wallet
+ * signature. The wallet is asked to sign once per page load, and twice the
+ * first time, to check that it signs deterministically: wallets that don't
+ * (e.g. zkLogin, multisig) would derive a new key every session and lock
+ * their documents, so encryption is refused for them.
+ */
+export function useDocumentEncryption() {
+  const currentAccount = useCurrentAccount();
+  const { mutateAsync: signPersonalMessage } = useSignPersonalMessage();
+  const address = currentAccount?.address;
+
+  const getKey = useCallback(() => {
+    if (!address) {
+      return Promise.reject(new Error('Please connect your wallet first'));
+    }
+
+    if (!keys.has(address)) {
+      const keyRequest = (async () => {
+        const message = new TextEncoder().encode(keyDerivationMessage(address));
+        const { signature } = await signPersonalMessage({ message });
+
+        if (!loadDeterministicSigners().includes(address)) {
+          const { signature: repeated } = await signPersonalMessage({ message });
+          if (repeated !== signature) {
+            throw new Error(
+              'Your wallet signs differently each time (e.g. zkLogin or multisig), so it cannot ' +
+              'derive a stable encryption key. Make the documents public or use another wallet.'
+            );
+          }
+          rememberDeterministicSigner(address);
+        }
+
+        return deriveEncryptionKey(signature, address);
+      })();
+
+      // Let the user retry after rejecting the signature request
+      keyRequest.catch(() => keys.delete(address));
+      keys.set(address, keyRequest);
+    }
+
+    return keys.get(address);
+  }, [address, signPersonalMessage]);
+
+  /**
+   * Encrypt a file, keeping its name so the upload is labelled as before
+   * @param {File} file - Plaintext file
+   * @returns {Promise<File>}
+   */
+  const encryptFile = useCallback(async (file) => {
+    const key = await getKey();
+    const encrypted = await encryptBytes(key, await file.arrayBuffer());
+    return new File([encrypted], file.name, { type: 'application/octet-stream' });
+  }, [getKey]);
+
+  /**
+   * Decrypt downloaded document contents; unencrypted contents are returned as-is
+   * @param {ArrayBuffer} data - Downloaded blob
+   * @returns {Promise<ArrayBuffer>}
+   */
+  const decrypt = useCallback(async (data) => {
+    if (!isEncrypted(data)) {
+      return data;
+    }
+    return decryptBytes(await getKey(), data);
+  }, [getKey]);
+
+  return { encryptFile, decrypt };
+}
@@ -0,0 +1,110 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { useCurrentAccount, useSignPersonalMessage } from '@mysten/dapp-kit';
+import axios from 'axios';
+
+const STORAGE_KEY = 'decentradocs:sessions';
+
+// Treat tokens as expired slightly early so requests don't race the expiry
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+// Sessions are shared by every component: Map<address, {token, expiresAt}>
+const sessions = new Map(loadSessions());
+const pendingSignIns = new Map();
+const listeners = new Set();
+
+function loadSessions() {
+  try {
+    return Object.entries(JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {});
+  } catch {
+    return [];
+  }
+}
+
+function saveSessions() {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(sessions)));
+  listeners.forEach(listener => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function getSession(address) {
+  const session = address ? sessions.get(address) : null;
+  return session && session.expiresAt - EXPIRY_MARGIN_MS > Date.now() ? session : null;
+}
+
+/**
+ * Sign in to the backend with the connected wallet. The wallet signs a
+ * one-time challenge and the backend returns a short-lived session token.
+ * Tokens are cached per address for the browser session.
+ */
+export function useWalletAuth() {
+  const currentAccount = useCurrentAccount();
+  const { mutateAsync: signPersonalMessage } = useSignPersonalMessage();
+  const address = currentAccount?.address;
+  const session = useSyncExternalStore(subscribe, () => getSession(address));
+
+  const signIn = useCallback(async () => {
+    if (!address) {
+      throw new Error('Please connect your wallet first');
+    }
+
+    const existing = getSession(address);
+    if (existing) {
+      return existing.token;
+    }
+
+    // Several components may ask for a token at once; only prompt the wallet once
+    if (!pendingSignIns.has(address)) {
+      const signInRequest = (async () => {
+        const { data: challenge } = await axios.post('/api/auth/challenge', {
+          wallet_address: address,
+        });
+
+        const { signature } = await signPersonalMessage({
+          message: new TextEncoder().encode(challenge.message),
+        });
+
+        const { data } = await axios.post('/api/auth/verify', {
+          wallet_address: address,
+          signature,
+        });
+
+        sessions.set(address, { token: data.token, expiresAt: data.expires_at });
+        saveSessions();
+        return data.token;
+      })();
+
+      pendingSignIns.set(address, signInRequest);
+      signInRequest.finally(() => pendingSignIns.delete(address)).catch(() => {});
+    }
+
+    return pendingSignIns.get(address);
+  }, [address, signPersonalMessage]);
+
+  /**
+   * Headers for an authenticated request, signing in first if needed
+   */
+  const getAuthHeaders = useCallback(async () => {
+    const token = await signIn();
+    return { Authorization: `Bearer ${token}` };
+  }, [signIn]);
+
+  /**
+   * Forget the session, e.g. after the backend rejected it with a 401
+   */
+  const clearSession = useCallback(() => {
+    if (address && sessions.delete(address)) {
+      saveSessions();
+    }
+  }, [address]);
+
+  return {
+    isSignedIn: Boolean(session),
+    signIn,
+    getAuthHeaders,
+    clearSession,
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * Fetch a document through the backend and hand it to the browser, either as
+ * a file download or opened in a new tab (optionally at a PDF page).
+ * Private documents need auth headers and may be encrypted, so plain links
+ * can't be used; `decrypt` receives the downloaded bytes and returns the plaintext.
+ */
+export async function openDocument({ blobId, filename, headers, decrypt, inline = false, page = null }) {
+  const params = new URLSearchParams({ filename });
+  if (inline) {
+    params.set('inline', 'true');
+  }
+
+  // Open the tab before awaiting so popup blockers treat it as user-initiated
+  const tab = inline ? window.open('', '_blank') : null;
+
+  try {
+    const response = await fetch(`/api/download/${blobId}?${params}`, { headers });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.detail || 'Download failed');
+      error.status = response.status;
+      throw error;
+    }
+
+    let content = await response.arrayBuffer();
+    if (decrypt) {
+      content = await decrypt(content);
+    }
+
+    const type = response.headers.get('Content-Type') || 'application/octet-stream';
+    const url = URL.createObjectURL(new Blob([content], { type }));
+
+    if (tab) {
+      tab.location.href = page ? `${url}#page=${page}` : url;
+    } else {
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+    }
+
+    // Give the browser time to start reading the blob before releasing it
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+  } catch (error) {
+    tab?.close();
+    throw error;
+  }
+}
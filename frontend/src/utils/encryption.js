@@ -0,0 +1,89 @@
+import { fromBase64 } from '@mysten/sui/utils';
+
+// Encrypted blobs start with this marker, followed by the IV and the AES-GCM ciphertext
+const MAGIC = new TextEncoder().encode('DDOCENC1');
+const IV_LENGTH = 12;
+
+/**
+ * Message the wallet signs to derive the document encryption key. It must never
+ * change, or previously encrypted documents can no longer be decrypted.
+ */
+export function keyDerivationMessage(address) {
+  return [
+    'DecentraDocs document encryption key',
+    address,
+    '',
+    'Only sign this message on the DecentraDocs site. The signature unlocks your private documents.',
+  ].join('\n');
+}
+
+/**
+ * Derive an AES-GCM key from the wallet's signature of keyDerivationMessage().
+ * Relies on the wallet producing deterministic signatures (Ed25519, and
+ * Secp256k1/r1 with RFC 6979 nonces), so the same key is derived every time;
+ * useDocumentEncryption checks this before any key is used.
+ * @param {string} signature - Serialized Sui signature (base64)
+ * @param {string} address - Wallet address, used as the HKDF salt
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveEncryptionKey(signature, address) {
+  const material = await crypto.subtle.importKey('raw', fromBase64(signature), 'HKDF', false, ['deriveKey']);
+
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new TextEncoder().encode(address),
+      info: new TextEncoder().encode('decentradocs-document-encryption-v1'),
+    },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Check whether a blob was produced by encryptBytes()
+ * @param {ArrayBuffer|Uint8Array} data - Blob contents
+ * @returns {boolean}
+ */
+export function isEncrypted(data) {
+  const bytes = new Uint8Array(data);
+  return bytes.length > MAGIC.length + IV_LENGTH && MAGIC.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Encrypt data with AES-GCM
+ * @param {CryptoKey} key - Key from deriveEncryptionKey()
+ * @param {ArrayBuffer|Uint8Array} data - Plaintext
+ * @returns {Promise<Uint8Array>} - Marker, IV and ciphertext
+ */
+export async function encryptBytes(key, data) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data));
+
+  const result = new Uint8Array(MAGIC.length + IV_LENGTH + ciphertext.length);
+  result.set(MAGIC, 0);
+  result.set(iv, MAGIC.length);
+  result.set(ciphertext, MAGIC.length + IV_LENGTH);
+  return result;
+}
+
+/**
+ * Decrypt data produced by encryptBytes()
+ * @param {CryptoKey} key - Key from deriveEncryptionKey()
+ * @param {ArrayBuffer|Uint8Array} data - Encrypted blob
+ * @returns {Promise<ArrayBuffer>} - Plaintext
+ * @throws {Error} - When the key does not match (e.g. the document belongs to another wallet)
+ */
+export async function decryptBytes(key, data) {
+  const bytes = new Uint8Array(data);
+  const iv = bytes.subarray(MAGIC.length, MAGIC.length + IV_LENGTH);
+
+  try {
+    return await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, bytes.subarray(MAGIC.length + IV_LENGTH));
+  } catch {
+    throw new Error('Unable to decrypt document: it was encrypted with another wallet');
+  }
+}